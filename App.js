@@ -15,7 +15,15 @@ import {
 } from 'react-native';
 import { BleManager } from './bleManager';
 import { StreamClient } from './streamClient';
-import { Protocol } from './protocol';
+import { Protocol, ProtocolError } from './protocol';
+import { getDeviceKey, setDeviceKey, forgetDeviceKey } from './deviceKeys';
+import { loadSecureSetting, saveSecureSetting } from './secureSettings';
+import { loadKnownDevices, rememberDevice, markSeen, updateKnownDevice, forgetDevice } from './knownDevices';
+import { compileMapping } from './messageMapper';
+import { JitterBuffer } from './jitterBuffer';
+import { MessageQueue } from './messageQueue';
+import { compileRoutes } from './deviceRouter';
+import { parseSubscriptions } from './mqtt';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 // ESP32 UUIDs from your existing code
@@ -24,22 +32,93 @@ const CHARACTERISTIC_UUID = 'beb5483e-36e1-4688-b7f5-ea07361b26a8';
 
 export default function App() {
   // Connection states
-  const [bleDevice, setBleDevice] = useState(null);
+  // Every device in the fan-out, as reported by BleManager.getDevices()
+  const [bleDevices, setBleDevices] = useState([]);
   const [streamConnected, setStreamConnected] = useState(false);
+  // Latest transition event from the stream's connection machine
+  const [streamConnection, setStreamConnection] = useState({ type: 'idle' });
   const [scanning, setScanning] = useState(false);
   const [devices, setDevices] = useState([]);
+  // Remembered devices from knownDevices.js, most recently seen first
+  const [knownDevices, setKnownDevices] = useState([]);
+  const [editingDevice, setEditingDevice] = useState(null); // { id, name, protocol } while editing
+  const [pairingKey, setPairingKey] = useState('');
   
   // Configuration
-  const [streamUrl, setStreamUrl] = useState('wss://your-stream.example.com');
-  const [useBinaryProtocol, setUseBinaryProtocol] = useState(false);
+  // One URL per line - the first is the primary, the rest are fallbacks in order
+  const [streamUrls, setStreamUrls] = useState('wss://your-stream.example.com');
+  const [authToken, setAuthToken] = useState('');
+  const [tokenPlacement, setTokenPlacement] = useState('header');
+  const [forwardedEvents, setForwardedEvents] = useState('');
+  const [binaryMode, setBinaryMode] = useState('decode');
+  const [httpTransport, setHttpTransport] = useState('sse');
+  const [mqttTopics, setMqttTopics] = useState('');
+  const [mqttUsername, setMqttUsername] = useState('');
+  const [mqttPassword, setMqttPassword] = useState('');
+  // Kept across launches so a persistent session finds its queued messages
+  const [mqttClientId, setMqttClientId] = useState(() => `fov-${Math.random().toString(36).slice(2, 10)}`);
+  const [mqttCleanSession, setMqttCleanSession] = useState(true);
+  const [mqttKeepalive, setMqttKeepalive] = useState(30);
+  const [mqttPublishTopic, setMqttPublishTopic] = useState('');
+  const [relayUrl, setRelayUrl] = useState('');
+  const [mappingText, setMappingText] = useState('');
+  const [mappingError, setMappingError] = useState(null);
+  const [sampleMessage, setSampleMessage] = useState('');
+  const [mappingResult, setMappingResult] = useState(null);
+  const [routingText, setRoutingText] = useState('');
+  const [routingError, setRoutingError] = useState(null);
+  const [wireFormat, setWireFormat] = useState('json');
+  const [useFraming, setUseFraming] = useState(false);
+  const [useDelta, setUseDelta] = useState(false);
+  const [useJitterBuffer, setUseJitterBuffer] = useState(false);
+  const [jitterDelay, setJitterDelay] = useState(150);
+  const [playoutRate, setPlayoutRate] = useState(20);
+  const [interpolate, setInterpolate] = useState(false);
+  const [queuePolicy, setQueuePolicy] = useState('drop-oldest');
+  const [queueTtl, setQueueTtl] = useState(0); // seconds, 0 keeps messages until delivered
+  const [writeRate, setWriteRate] = useState(0); // per device per second, 0 = firmware limit only
+  const [writeWindow, setWriteWindow] = useState(4);
+  const [latencyProbes, setLatencyProbes] = useState(true);
+  const [acknowledged, setAcknowledged] = useState(true);
+  const [coordinateProfile, setCoordinateProfile] = useState(Protocol.getCoordinateProfile());
   const [autoReconnect, setAutoReconnect] = useState(true);
+  const [autoConnect, setAutoConnect] = useState(true);
   
   // Statistics
   const [stats, setStats] = useState({
     messagesSent: 0,
     messagesQueued: 0,
+    messagesExpired: 0,
+    queueDropped: 0,
+    writeDepth: 0,
+    writesCoalesced: 0,
+    writesDropped: 0,
+    acksPending: 0,
+    retransmits: 0,
+    nacks: 0,
+    messagesFiltered: 0,
+    messagesUnrouted: 0,
     avgLatency: 0,
     lastError: null,
+    framesRejected: 0,
+    coordinateOverflows: 0,
+    coordinatesClamped: 0,
+    coordinatesRejected: 0,
+    deltaKeyframes: 0,
+    deltaUpdates: 0,
+    secureSealed: 0,
+    secureOpened: 0,
+    secureRejected: 0,
+    streamState: 'disconnected',
+    pingLatency: null,
+    streamEndpoint: null,
+    streamTransport: null,
+    streamEndpointIndex: 0,
+    jitterDepth: 0,
+    jitterUnderruns: 0,
+    jitterLate: 0,
+    notificationsRelayed: 0,
+    notificationsBuffered: 0,
     uptime: 0,
     backgroundTime: 0,
   });
@@ -47,12 +126,35 @@ export default function App() {
   // Core managers
   const bleManagerRef = useRef(null);
   const streamClientRef = useRef(null);
+  const jitterBufferRef = useRef(null);
+  const messageQueueRef = useRef(null);
+  const deviceQueuesRef = useRef(new Map());
+  const queueOptionsRef = useRef({});
+  // deviceId -> { encoding, framed } negotiated with that device's firmware
+  const encodingsRef = useRef({});
+  const routerRef = useRef(null);
+  const authTokenRef = useRef('');
+  const acknowledgedRef = useRef(true);
+  const knownDevicesRef = useRef([]);
+  const scanResultsRef = useRef(new Map()); // deviceId -> { id, name, rssi } from the current scan
+  const scanTimersRef = useRef(null);
+  const autoConnectIdRef = useRef(null); // Connected to as soon as the scan finds it
+  const mapperRef = useRef(null);
+  const savedMappingsRef = useRef({});
   const appStateRef = useRef(AppState.currentState);
   const backgroundStartTime = useRef(null);
   
   useEffect(() => {
-    initializeManagers();
-    loadSettings();
+    // The preferred device is only looked for once BLE is up and settings are loaded
+    Promise.all([initializeManagers(), loadSettings(), refreshKnownDevices()])
+      .then(([, settings]) => {
+        if (settings?.autoConnect !== false) {
+          connectPreferredDevice();
+        }
+      })
+      .catch((error) => {
+        setStats(prev => ({ ...prev, lastError: error.message }));
+      });
     
     // App state monitoring for background tracking
     const subscription = AppState.addEventListener('change', handleAppStateChange);
@@ -67,6 +169,134 @@ export default function App() {
     };
   }, []);
   
+  const connectedDevices = bleDevices.filter(device => device.connected);
+  const connectedKey = connectedDevices.map(device => device.id).join(',');
+  
+  // Pick each device's wire encoding from what its firmware reported, starting from
+  // the protocol remembered for the device if it has one
+  useEffect(() => {
+    const encodings = {};
+    const fallbacks = [];
+    for (const { id, name, capabilities } of connectedDevices) {
+      const preferred = knownDevices.find(known => known.id === id)?.protocol || wireFormat;
+      const selected = Protocol.selectEncoding(capabilities, preferred);
+      if (selected !== preferred) {
+        fallbacks.push(`${name || id} (firmware v${capabilities.version}) does not support ${preferred.toUpperCase()}, sending ${selected.toUpperCase()}`);
+      }
+      encodings[id] = {
+        encoding: selected,
+        framed: useFraming && selected !== 'json' && Protocol.supportsFeature(capabilities, 'crc'),
+      };
+    }
+    if (fallbacks.length) {
+      setStats(prev => ({ ...prev, lastError: fallbacks.join('; ') }));
+    }
+    encodingsRef.current = encodings;
+    
+    // The delta encoder tracks a single receiver, so deltas need exactly one device
+    const [only] = connectedDevices;
+    Protocol.setDeltaEncoding({
+      enabled: useDelta && connectedDevices.length === 1 &&
+        encodings[only.id].encoding === 'binary' &&
+        Protocol.supportsFeature(only.capabilities, 'delta'),
+    });
+    refreshDevices();
+  }, [connectedKey, wireFormat, useFraming, useDelta, knownDevices]);
+  
+  // Runs after the encoding effect above, so queued messages go out in each device's format
+  useEffect(() => {
+    connectedDevices.forEach(device => drainQueuedMessages(device.id));
+  }, [connectedKey]);
+  
+  useEffect(() => {
+    Protocol.setCoordinateProfile(coordinateProfile);
+  }, [coordinateProfile]);
+  
+  useEffect(() => {
+    authTokenRef.current = authToken;
+  }, [authToken]);
+  
+  useEffect(() => {
+    acknowledgedRef.current = acknowledged;
+  }, [acknowledged]);
+  
+  useEffect(() => {
+    const jitterBuffer = jitterBufferRef.current;
+    if (!jitterBuffer) return;
+    
+    jitterBuffer.configure({ outputRate: playoutRate, targetDelay: jitterDelay, interpolate });
+    if (useJitterBuffer) {
+      jitterBuffer.start();
+    } else if (jitterBuffer.isRunning()) {
+      jitterBuffer.stop();
+    }
+  }, [useJitterBuffer, jitterDelay, playoutRate, interpolate]);
+  
+  useEffect(() => {
+    queueOptionsRef.current = {
+      policy: queuePolicy,
+      ttl: queueTtl ? queueTtl * 1000 : null,
+    };
+    messageQueueRef.current?.configure(queueOptionsRef.current);
+    deviceQueuesRef.current.forEach(queue => queue.configure(queueOptionsRef.current));
+  }, [queuePolicy, queueTtl]);
+  
+  useEffect(() => {
+    bleManagerRef.current?.configureWrites({ rate: writeRate, window: writeWindow });
+  }, [writeRate, writeWindow]);
+  
+  useEffect(() => {
+    bleManagerRef.current?.configureProbes({ interval: latencyProbes ? 1000 : 0 });
+  }, [latencyProbes]);
+  
+  // Keep the last valid mapping running while an edit is half-typed
+  useEffect(() => {
+    if (!mappingText.trim()) {
+      mapperRef.current = null;
+      setMappingError(null);
+      return;
+    }
+    
+    try {
+      mapperRef.current = compileMapping(mappingText);
+      setMappingError(null);
+    } catch (error) {
+      setMappingError(error.message);
+    }
+  }, [mappingText]);
+  
+  useEffect(() => {
+    if (!routingText.trim()) {
+      routerRef.current = null;
+      setRoutingError(null);
+      return;
+    }
+    
+    try {
+      routerRef.current = compileRoutes(routingText);
+      setRoutingError(null);
+    } catch (error) {
+      setRoutingError(error.message);
+    }
+  }, [routingText]);
+  
+  // Named SSE events listed in settings are forwarded to the device like plain messages
+  useEffect(() => {
+    if (!streamClientRef.current) return;
+    
+    const types = forwardedEvents.split(',').map(type => type.trim()).filter(Boolean);
+    const unsubscribers = [];
+    for (const type of types) {
+      try {
+        unsubscribers.push(streamClientRef.current.subscribe(type, handleStreamMessage));
+      } catch (error) {
+        setStats(prev => ({ ...prev, lastError: error.message }));
+      }
+    }
+    
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [forwardedEvents]);
+  
   const handleAppStateChange = (nextAppState) => {
     if (appStateRef.current.match(/inactive|background/) && nextAppState === 'active') {
       console.log('App came to foreground');
@@ -90,17 +320,44 @@ export default function App() {
     bleManagerRef.current = new BleManager({
       serviceUuid: SERVICE_UUID,
       characteristicUuid: CHARACTERISTIC_UUID,
+      getDeviceKey,
       onDeviceConnected: (device) => {
-        setBleDevice(device);
-        Alert.alert('Connected', `Connected to ${device.name}`);
+        Protocol.resetDeltaState();
+        refreshDevices();
+        seeDevices([device.id]);
+      },
+      onDeviceDisconnected: (deviceId) => {
+        refreshDevices();
+        seeDevices([deviceId]);
       },
-      onDeviceDisconnected: () => {
-        setBleDevice(null);
-        Alert.alert('Disconnected', 'BLE device disconnected');
+      onConnectionState: (event, deviceId) => {
+        refreshDevices();
+        if (event.error) {
+          setStats(prev => ({ ...prev, lastError: `${deviceLabel(deviceId)}: ${event.error.message}` }));
+        }
       },
       onError: (error) => {
         setStats(prev => ({ ...prev, lastError: error.message }));
       },
+      // Button presses, battery and fault reports go back to the backend
+      onNotification: (data, { deviceId, deviceTimestamp }) => {
+        streamClientRef.current?.relay({
+          type: 'deviceNotification',
+          deviceId,
+          timestamp: Date.now(),
+          deviceTimestamp,
+          data,
+        });
+      },
+    });
+    
+    // Messages held until the first device is added - saved so a restart doesn't lose them
+    messageQueueRef.current = new MessageQueue();
+    messageQueueRef.current.load();
+    
+    // Re-times bursty stream delivery to a steady rate when enabled
+    jitterBufferRef.current = new JitterBuffer({
+      onOutput: (message) => forwardMessage(message),
     });
     
     // Initialize Stream Client
@@ -108,6 +365,7 @@ export default function App() {
       onMessage: handleStreamMessage,
       onConnected: () => setStreamConnected(true),
       onDisconnected: () => setStreamConnected(false),
+      onConnectionState: (event) => handleConnectionState(event, setStreamConnection),
       onError: (error) => {
         setStats(prev => ({ ...prev, lastError: error.message }));
       },
@@ -116,23 +374,148 @@ export default function App() {
     await bleManagerRef.current.initialize();
   };
   
-  const handleStreamMessage = async (data) => {
-    if (!bleManagerRef.current || !bleManagerRef.current.isConnected()) {
-      // Queue message if BLE not connected
-      streamClientRef.current.queueMessage(data);
-      setStats(prev => ({ ...prev, messagesQueued: prev.messagesQueued + 1 }));
-      return
+  // Retries and failures are shown in the status card rather than as alerts
+  const handleConnectionState = (event, setConnection) => {
+    setConnection(event);
+    if (event.error) {
+      setStats(prev => ({ ...prev, lastError: event.error.message }));
+    }
+  };
+  
+  // Status of every device in the fan-out, with its negotiated encoding and queue.
+  // Remembered devices show their friendly name; routing still uses the advertised one.
+  const refreshDevices = () => {
+    const manager = bleManagerRef.current;
+    if (!manager) return;
+    
+    setBleDevices(manager.getDevices().map(device => ({
+      ...device,
+      name: knownName(device.id) || device.name,
+      encoding: encodingsRef.current[device.id]?.encoding ?? null,
+      queued: deviceQueuesRef.current.get(device.id)?.size() ?? 0,
+    })));
+  };
+  
+  const knownName = (deviceId) =>
+    knownDevicesRef.current.find(device => device.id === deviceId)?.name ?? null;
+  
+  const deviceLabel = (deviceId) =>
+    knownName(deviceId) ||
+    bleManagerRef.current?.getDevices().find(device => device.id === deviceId)?.name ||
+    deviceId;
+  
+  const refreshKnownDevices = async () => {
+    const known = await loadKnownDevices();
+    knownDevicesRef.current = known;
+    setKnownDevices(known);
+    refreshDevices();
+  };
+  
+  // Keeps "last seen" current for remembered devices
+  const seeDevices = (ids) => {
+    markSeen(ids)
+      .then(refreshKnownDevices)
+      .catch(error => console.error('Failed to update known devices:', error));
+  };
+  
+  // Each device keeps its own saved queue, so one absent tablet never holds up the others
+  const getDeviceQueue = (deviceId) => {
+    let queue = deviceQueuesRef.current.get(deviceId);
+    if (!queue) {
+      queue = new MessageQueue({ storageKey: `messageQueue:${deviceId}`, ...queueOptionsRef.current });
+      queue.load();
+      deviceQueuesRef.current.set(deviceId, queue);
+    }
+    return queue;
+  };
+  
+  // Devices in the fan-out a message goes to - all of them unless routing says otherwise
+  const routeMessage = (data) => {
+    const devices = bleManagerRef.current.getDevices();
+    const targets = routerRef.current ? routerRef.current(data, devices) : devices;
+    return targets.map(device => device.id);
+  };
+  
+  // Passthrough binary frames arrive as ArrayBuffers already in the device format.
+  // Devices sharing an encoding share one encoded copy via the cache.
+  const encodeMessage = (data, deviceId, cache = new Map()) => {
+    if (data instanceof ArrayBuffer) return data;
+    
+    // Malformed coordinates, or ones outside the profile's range when it rejects, never
+    // go out - whatever the device's wire format
+    if (!Protocol.validateMessage(data)) {
+      throw new ProtocolError(`Message failed validation: ${JSON.stringify(data).slice(0, 80)}`);
+    }
+    
+    const { encoding, framed } = encodingsRef.current[deviceId] || { encoding: 'json', framed: false };
+    const key = `${encoding}:${framed}`;
+    if (!cache.has(key)) {
+      cache.set(key, Protocol.encode(data, encoding, { framed }));
+    }
+    return cache.get(key);
+  };
+  
+  // Reshape upstream messages before anything queues or encodes them
+  const handleStreamMessage = (data) => {
+    const mapped = data instanceof ArrayBuffer || !mapperRef.current
+      ? data
+      : mapperRef.current(data);
+    
+    if (mapped === null) {
+      setStats(prev => ({ ...prev, messagesFiltered: prev.messagesFiltered + 1 }));
+      return;
+    }
+    
+    // The feed's own timestamp (t) drives playout timing - a mapping can supply it
+    // from another field
+    if (jitterBufferRef.current?.isRunning() && !(data instanceof ArrayBuffer)) {
+      jitterBufferRef.current.push(mapped, mapped?.t ?? data?.t);
+      return;
+    }
+    return forwardMessage(mapped);
+  };
+  
+  // Coordinates go without response, and only the newest waiting update per kind (and
+  // id, for feeds tracking several objects) is kept. Everything else must arrive, and
+  // with Acknowledged Delivery waits for the firmware's ACK where the firmware sends them.
+  const writePriority = (data) => Protocol.isCoordinates(data)
+    ? { priority: 'realtime', key: `${data.type ?? 'coordinates'}:${data.id ?? ''}` }
+    : { priority: 'reliable', ack: acknowledgedRef.current };
+  
+  const forwardMessage = async (data) => {
+    // Held until the first device is added, then shared out by the routing rules
+    if (!bleManagerRef.current?.getDeviceIds().length) {
+      messageQueueRef.current.enqueue(data);
+      return;
+    }
+    
+    const targets = routeMessage(data);
+    if (!targets.length) {
+      setStats(prev => ({ ...prev, messagesUnrouted: prev.messagesUnrouted + 1 }));
+      return;
+    }
+    
+    const cache = new Map();
+    await Promise.all(targets.map(deviceId => sendToDevice(deviceId, data, cache)));
+  };
+  
+  const sendToDevice = async (deviceId, data, cache) => {
+    if (!bleManagerRef.current.isConnected(deviceId)) {
+      // Queue message if this device isn't connected
+      getDeviceQueue(deviceId).enqueue(data);
+      return;
     }
     
     try {
-      // Encode message based on protocol selection
-      const encoded = useBinaryProtocol 
-        ? Protocol.encodeBinary(data)
-        : Protocol.encodeJson(data);
-      
-      // Send via BLE with latency tracking
+      // Send via the device's write scheduler with latency tracking. The message is
+      // encoded for this device's firmware when its write starts.
       const startTime = Date.now();
-      await bleManagerRef.current.sendData(encoded);
+      const written = await bleManagerRef.current.write(
+        deviceId,
+        () => encodeMessage(data, deviceId, cache),
+        writePriority(data)
+      );
+      if (!written) return; // Superseded by a newer update, or dropped with the queue full
       const latency = Date.now() - startTime;
       
       // Update stats
@@ -144,9 +527,18 @@ export default function App() {
           : latency,
       }));
     } catch (error) {
-      console.error('Failed to send BLE message:', error);
-      streamClientRef.current.queueMessage(data);
-      setStats(prev => ({ ...prev, messagesQueued: prev.messagesQueued + 1 }));
+      console.error(`Failed to send BLE message to ${deviceId}:`, error);
+      
+      // The device may have missed a delta - restart from a keyframe
+      Protocol.requestKeyframe();
+      
+      // Unencodable messages (e.g. rejected coordinate overflow) would fail again
+      if (error instanceof ProtocolError) {
+        setStats(prev => ({ ...prev, lastError: `${deviceLabel(deviceId)}: ${error.message}` }));
+        return;
+      }
+      
+      getDeviceQueue(deviceId).enqueue(data);
     }
   };
   
@@ -155,21 +547,97 @@ export default function App() {
       const saved = await AsyncStorage.getItem('appSettings');
       if (saved) {
         const settings = JSON.parse(saved);
-        setStreamUrl(settings.streamUrl || streamUrl);
-        setUseBinaryProtocol(settings.useBinaryProtocol || false);
+        setStreamUrls(settings.streamUrls?.join('\n') || settings.streamUrl || streamUrls);
+        
+        // Mappings are saved per stream, keyed by its primary URL
+        savedMappingsRef.current = settings.mappings || {};
+        const primary = settings.streamUrls?.[0] || settings.streamUrl;
+        setMappingText(savedMappingsRef.current[primary] || '');
+        setRoutingText(settings.routing || '');
+        setAuthToken(await loadSecureSetting('authToken'));
+        setTokenPlacement(settings.tokenPlacement || 'header');
+        setForwardedEvents(settings.forwardedEvents || '');
+        setBinaryMode(settings.binaryMode || 'decode');
+        setHttpTransport(settings.httpTransport || 'sse');
+        if (settings.mqtt) {
+          setMqttTopics(settings.mqtt.topics || '');
+          setMqttUsername(settings.mqtt.username || '');
+          setMqttPassword(await loadSecureSetting('mqttPassword'));
+          setMqttClientId(settings.mqtt.clientId || mqttClientId);
+          setMqttCleanSession(settings.mqtt.cleanSession !== false);
+          setMqttKeepalive(settings.mqtt.keepalive || 30);
+          setMqttPublishTopic(settings.mqtt.publishTopic || '');
+        }
+        setRelayUrl(settings.relayUrl || '');
+        setWireFormat(settings.wireFormat || (settings.useBinaryProtocol ? 'binary' : 'json'));
+        setUseFraming(settings.useFraming || false);
+        setUseDelta(settings.useDelta || false);
+        setUseJitterBuffer(settings.useJitterBuffer || false);
+        setJitterDelay(settings.jitterDelay || 150);
+        setPlayoutRate(settings.playoutRate || 20);
+        setInterpolate(settings.interpolate || false);
+        setQueuePolicy(settings.queuePolicy || 'drop-oldest');
+        setQueueTtl(settings.queueTtl || 0);
+        setWriteRate(settings.writeRate || 0);
+        setWriteWindow(settings.writeWindow || 4);
+        setLatencyProbes(settings.latencyProbes !== false);
+        setAcknowledged(settings.acknowledged !== false);
+        if (settings.coordinateProfile) {
+          setCoordinateProfile(Protocol.normalizeCoordinateProfile(settings.coordinateProfile));
+        }
         setAutoReconnect(settings.autoReconnect !== false);
+        setAutoConnect(settings.autoConnect !== false);
+        return settings;
       }
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
+    return null;
   };
   
   const saveSettings = async () => {
+    const primary = getStreamEndpoints()[0];
+    if (primary) {
+      savedMappingsRef.current = { ...savedMappingsRef.current, [primary]: mappingText };
+    }
+    
     try {
+      // Credentials go to the keystore, not into the AsyncStorage blob
+      await saveSecureSetting('authToken', authToken);
+      await saveSecureSetting('mqttPassword', mqttPassword);
       await AsyncStorage.setItem('appSettings', JSON.stringify({
-        streamUrl,
-        useBinaryProtocol,
+        streamUrls: getStreamEndpoints(),
+        tokenPlacement,
+        forwardedEvents,
+        binaryMode,
+        httpTransport,
+        mqtt: {
+          topics: mqttTopics,
+          username: mqttUsername,
+          clientId: mqttClientId,
+          cleanSession: mqttCleanSession,
+          keepalive: mqttKeepalive,
+          publishTopic: mqttPublishTopic,
+        },
+        relayUrl,
+        mappings: savedMappingsRef.current,
+        routing: routingText,
+        wireFormat,
+        useFraming,
+        useDelta,
+        useJitterBuffer,
+        jitterDelay,
+        playoutRate,
+        interpolate,
+        queuePolicy,
+        queueTtl,
+        writeRate,
+        writeWindow,
+        latencyProbes,
+        acknowledged,
+        coordinateProfile,
         autoReconnect,
+        autoConnect,
       }));
       Alert.alert('Saved', 'Settings saved successfully');
     } catch (error) {
@@ -177,85 +645,307 @@ export default function App() {
     }
   };
   
+  // Devices fall back to what their own firmware supports, so a setting is only
+  // refused when no connected device could use it
+  const noDeviceSupports = (supports) =>
+    connectedDevices.length > 0 && !connectedDevices.some(device => supports(device.capabilities));
+  
+  const selectWireFormat = (format) => {
+    if (noDeviceSupports(firmware => Protocol.supportsEncoding(firmware, format))) {
+      Alert.alert(
+        'Not Supported',
+        `None of the connected devices support ${format.toUpperCase()}`
+      );
+      return;
+    }
+    setWireFormat(format);
+  };
+  
+  const toggleFraming = (value) => {
+    if (value && noDeviceSupports(firmware => Protocol.supportsFeature(firmware, 'crc'))) {
+      Alert.alert(
+        'Not Supported',
+        'None of the connected devices verify CRC-framed messages'
+      );
+      return;
+    }
+    setUseFraming(value);
+  };
+  
+  const toggleDelta = (value) => {
+    if (value && noDeviceSupports(firmware => Protocol.supportsFeature(firmware, 'delta'))) {
+      Alert.alert(
+        'Not Supported',
+        'None of the connected devices decode delta coordinates'
+      );
+      return;
+    }
+    setUseDelta(value);
+  };
+  
+  const updateCoordinateProfile = (changes) => {
+    let profile;
+    try {
+      profile = Protocol.normalizeCoordinateProfile({ ...coordinateProfile, ...changes });
+    } catch (error) {
+      Alert.alert('Invalid Profile', error.message);
+      return;
+    }
+    
+    // The profile applies to every device, so each one that lists its message types
+    // must understand this profile's type byte
+    const typeId = Protocol.coordinateTypeId(profile);
+    const unsupported = connectedDevices.filter(({ capabilities }) =>
+      capabilities.messageTypes.length && !capabilities.messageTypes.includes(typeId)
+    );
+    if (unsupported.length) {
+      Alert.alert(
+        'Not Supported',
+        `${unsupported.map(device => device.name || device.id).join(', ')} cannot decode coordinate type 0x${typeId.toString(16).padStart(2, '0')}`
+      );
+      return;
+    }
+    setCoordinateProfile(profile);
+  };
+  
+  // Devices advertising our service, strongest signal first
+  const showScanResults = () => {
+    setDevices([...scanResultsRef.current.values()].sort((a, b) => b.rssi - a.rssi));
+  };
+  
   const startScanning = async () => {
     setScanning(true);
     setDevices([]);
+    scanResultsRef.current = new Map();
     
     try {
       await bleManagerRef.current.startScan((device) => {
-        if (device.name) {
-          setDevices(prev => {
-            if (prev.find(d => d.id === device.id)) return prev;
-            return [...prev, device];
-          });
+        // Not every advertisement carries the name
+        const name = device.name || scanResultsRef.current.get(device.id)?.name || null;
+        scanResultsRef.current.set(device.id, { ...device, name });
+        
+        if (device.id === autoConnectIdRef.current) {
+          autoConnectIdRef.current = null;
+          connectToDevice({ ...device, name });
         }
       });
       
-      // Auto-stop after 10 seconds
-      setTimeout(() => {
-        bleManagerRef.current.stopScan();
-        setScanning(false);
-      }, 10000);
+      scanTimersRef.current = {
+        // Advertisements arrive many times a second, so the list catches up periodically
+        refresh: setInterval(showScanResults, 500),
+        // Auto-stop after 10 seconds
+        stop: setTimeout(stopScanning, 10000),
+      };
     } catch (error) {
       Alert.alert('Scan Error', error.message);
-      setScanning(false);
+      stopScanning();
     }
   };
-
-  const waitUntil = (pred, { timeoutMs = 5000, intervalMs = 50 } = {}) =>
-    new Promise((resolve, reject) => {
-      const start = Date.now();
-      const t = setInterval(() => {
-        if (pred()) { clearInterval(t); resolve(); }
-        else if (Date.now() - start > timeoutMs) { clearInterval(t); reject(new Error('timeout')); }
-      }, intervalMs);
-    });
   
-  const drainQueuedMessages = async () => {
-    if (!bleManagerRef.current?.isConnected()) return;
-    const queued = streamClientRef.current.getQueuedMessages();
-    if (!queued.length) return;
-    for (const msg of queued) {
-      try {
-        const encoded = useBinaryProtocol ? Protocol.encodeBinary(msg)
-                                          : Protocol.encodeJson(msg);
-        await bleManagerRef.current.sendData(encoded);
+  const stopScanning = () => {
+    if (scanTimersRef.current) {
+      clearInterval(scanTimersRef.current.refresh);
+      clearTimeout(scanTimersRef.current.stop);
+      scanTimersRef.current = null;
+    }
+    
+    bleManagerRef.current.stopScan();
+    autoConnectIdRef.current = null;
+    setScanning(false);
+    showScanResults();
+    seeDevices([...scanResultsRef.current.keys()]);
+  };
+  
+  // On launch, connects to the preferred device once it's seen advertising
+  const connectPreferredDevice = async () => {
+    const preferred = knownDevicesRef.current.find(device => device.preferred);
+    if (!preferred || bleManagerRef.current.hasDevice(preferred.id)) return;
+    
+    console.log('[BLE] Looking for preferred device:', preferred.name || preferred.id);
+    autoConnectIdRef.current = preferred.id;
+    await startScanning();
+  };
+
+  // Each message leaves a device's queue only once that device has it
+  const drainQueuedMessages = async (deviceId) => {
+    if (!bleManagerRef.current?.isConnected(deviceId)) return;
+    
+    const { error } = await getDeviceQueue(deviceId).drain(
+      async (msg) => {
+        // Queued coordinates are written with response too, but still aren't ACKed
+        await bleManagerRef.current.write(deviceId, () => encodeMessage(msg, deviceId), {
+          ...writePriority(msg),
+          priority: 'reliable',
+        });
         setStats(prev => ({ ...prev, messagesSent: prev.messagesSent + 1 }));
-      } catch (e) {
-        // Put it back if something went wrong
-        streamClientRef.current.queueMessage(msg);
-        setStats(prev => ({ ...prev, lastError: e.message }));
-        break; // stop draining for now
+      },
+      {
+        // Unencodable messages would fail on every drain
+        shouldDrop: (e) => {
+          if (!(e instanceof ProtocolError)) return false;
+          setStats(prev => ({ ...prev, lastError: e.message }));
+          return true;
+        },
       }
+    );
+    
+    // Whatever is left waits for the next connection
+    if (error) {
+      setStats(prev => ({ ...prev, lastError: `${deviceLabel(deviceId)}: ${error.message}` }));
     }
-    streamClientRef.current.clearQueue();
-  };  
+  };
+  
+  // Messages held before any device was added are routed once there is somewhere to send them
+  const shareOutHeldMessages = () => {
+    for (const message of messageQueueRef.current.takeAll()) {
+      const targets = routeMessage(message);
+      if (!targets.length) {
+        setStats(prev => ({ ...prev, messagesUnrouted: prev.messagesUnrouted + 1 }));
+      }
+      targets.forEach(deviceId => getDeviceQueue(deviceId).enqueue(message));
+    }
+  };
   
   const connectToDevice = async (device) => {
+    // A pairing key entered before connecting is stored for this device
+    if (pairingKey.trim()) {
+      try {
+        await setDeviceKey(device.id, pairingKey);
+        setPairingKey('');
+      } catch (error) {
+        Alert.alert('Invalid Key', error.message);
+        return;
+      }
+    }
+    
+    stopScanning();
+    
     try {
-      bleManagerRef.current.stopScan();
-      setScanning(false);
-      await bleManagerRef.current.connect(device.id);
-      
-      // Process queued messages after connection
-      await waitUntil(() => bleManagerRef.current?.isConnected(), { timeoutMs: 3000 }).catch(() => {});
-      await drainQueuedMessages();
+      // Only a full fan-out throws here - progress and failures arrive through onConnectionState
+      bleManagerRef.current.connect(device.id, device.name).catch(() => {});
     } catch (error) {
       Alert.alert('Connection Error', error.message);
+      return;
+    }
+    
+    // The queue loads from storage while the device connects
+    getDeviceQueue(device.id);
+    shareOutHeldMessages();
+    refreshDevices();
+    
+    // The device picked last is the one auto-connected to on the next launch
+    rememberDevice(device, { preferred: true })
+      .then(refreshKnownDevices)
+      .catch(error => console.error('Failed to remember device:', error));
+  };
+  
+  // The device leaves the fan-out, and anything queued for it is discarded
+  const disconnect = async (deviceId) => {
+    await bleManagerRef.current.disconnect(deviceId);
+    deviceQueuesRef.current.get(deviceId)?.clear();
+    deviceQueuesRef.current.delete(deviceId);
+    refreshDevices();
+  };
+  
+  const disconnectAll = async () => {
+    await Promise.all(bleManagerRef.current.getDeviceIds().map(disconnect));
+  };
+  
+  const forgetKey = (device) => {
+    Alert.alert(
+      'Forget Pairing Key',
+      `${device.name} will connect unencrypted next time unless you pair it again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Forget',
+          style: 'destructive',
+          onPress: () => forgetDeviceKey(device.id),
+        },
+      ]
+    );
+  };
+  
+  const saveDeviceEdit = async () => {
+    try {
+      await updateKnownDevice(editingDevice.id, editingDevice);
+      setEditingDevice(null);
+      await refreshKnownDevices();
+    } catch (error) {
+      Alert.alert('Error', error.message);
     }
   };
   
-  const disconnect = async () => {
-    await bleManagerRef.current.disconnect();
+  const forgetKnownDevice = (device) => {
+    Alert.alert(
+      'Forget Device',
+      `${device.name || device.id} won't be connected automatically any more, and its pairing key is removed.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Forget',
+          style: 'destructive',
+          onPress: async () => {
+            await Promise.all([forgetDevice(device.id), forgetDeviceKey(device.id)]);
+            if (editingDevice?.id === device.id) {
+              setEditingDevice(null);
+            }
+            refreshKnownDevices();
+          },
+        },
+      ]
+    );
+  };
+  
+  const testMapping = () => {
+    try {
+      const mapper = compileMapping(mappingText.trim() || '{}');
+      const result = mapper(JSON.parse(sampleMessage));
+      if (result === null) {
+        setMappingResult('Dropped - no rule matched');
+        return;
+      }
+      
+      // Show which binary type the result would go out as
+      const type = Protocol.findType(result);
+      setMappingResult(
+        `${JSON.stringify(result, null, 2)}\n\nBinary type: ` +
+        (type ? `0x${type.id.toString(16).padStart(2, '0')}` : 'none')
+      );
+    } catch (error) {
+      setMappingResult(`Error: ${error.message}`);
+    }
   };
   
+  const getStreamEndpoints = () => streamUrls
+    .split('\n')
+    .map(url => url.trim())
+    .filter(Boolean);
+  
   const connectStream = async () => {
     try {
-      await streamClientRef.current.connect(streamUrl, {
+      const token = authToken.trim() || undefined;
+      // Only bad URLs throw here - connection progress arrives through onConnectionState
+      streamClientRef.current.connect(getStreamEndpoints(), {
         autoReconnect,
         reconnectDelay: 1000,
         maxReconnectDelay: 30000,
-      });
+        binaryMode,
+        httpTransport,
+        mqtt: {
+          subscriptions: parseSubscriptions(mqttTopics),
+          username: mqttUsername.trim() || null,
+          password: mqttPassword || null,
+          clientId: mqttClientId,
+          cleanSession: mqttCleanSession,
+          keepalive: mqttKeepalive,
+          publishTopic: mqttPublishTopic.trim() || null,
+        },
+        relayUrl: relayUrl.trim() || null,
+        auth: tokenPlacement === 'query' ? { queryToken: token } : { bearerToken: token },
+        // Pick up a token pasted in while the stream was down
+        refreshToken: async () => authTokenRef.current.trim() || null,
+      }).catch(() => {});
     } catch (error) {
       Alert.alert('Stream Error', error.message);
     }
@@ -266,10 +956,80 @@ export default function App() {
   };
   
   const updateStats = () => {
-    setStats(prev => ({ ...prev, uptime: prev.uptime + 1 }));
+    const frameStats = Protocol.getFrameStats();
+    const coordinateStats = Protocol.getCoordinateStats();
+    const deltaStats = Protocol.getDeltaStats();
+    const secureStats = bleManagerRef.current?.getSecureStats();
+    const streamStatus = streamClientRef.current?.getConnectionStatus();
+    const jitterStats = jitterBufferRef.current?.getStats();
+    // Totals across the held messages and every device's queue
+    const queueStats = [messageQueueRef.current, ...deviceQueuesRef.current.values()]
+      .filter(Boolean)
+      .map(queue => queue.getStats())
+      .reduce((total, { size, expired, dropped }) => ({
+        size: total.size + size,
+        expired: total.expired + expired,
+        dropped: total.dropped + dropped,
+      }), { size: 0, expired: 0, dropped: 0 });
+    // Write scheduler totals across devices
+    const writeStats = (bleManagerRef.current?.getDevices() ?? [])
+      .map(device => device.writes)
+      .reduce((total, { depth, coalesced, dropped }) => ({
+        depth: total.depth + depth,
+        coalesced: total.coalesced + coalesced,
+        dropped: total.dropped + dropped,
+      }), { depth: 0, coalesced: 0, dropped: 0 });
+    const reliableStats = (bleManagerRef.current?.getDevices() ?? [])
+      .map(device => device.reliable)
+      .reduce((total, { pending, retransmitted, nacked }) => ({
+        pending: total.pending + pending,
+        retransmitted: total.retransmitted + retransmitted,
+        nacked: total.nacked + nacked,
+      }), { pending: 0, retransmitted: 0, nacked: 0 });
+    refreshDevices();
+    setStats(prev => ({
+      ...prev,
+      uptime: prev.uptime + 1,
+      framesRejected: frameStats.rejected,
+      coordinateOverflows: coordinateStats.overflows,
+      coordinatesClamped: coordinateStats.clamped,
+      coordinatesRejected: coordinateStats.rejected,
+      deltaKeyframes: deltaStats.keyframes,
+      deltaUpdates: deltaStats.deltas,
+      secureSealed: secureStats?.sealed ?? prev.secureSealed,
+      secureOpened: secureStats?.opened ?? prev.secureOpened,
+      secureRejected: secureStats ? secureStats.rejected + secureStats.replayed : prev.secureRejected,
+      streamState: streamStatus?.state ?? prev.streamState,
+      pingLatency: streamStatus?.pingLatency ?? null,
+      streamEndpoint: streamStatus?.endpoint ?? null,
+      streamTransport: streamStatus?.type ?? null,
+      streamEndpointIndex: streamStatus?.endpointIndex ?? 0,
+      messagesQueued: queueStats.size,
+      messagesExpired: queueStats.expired,
+      queueDropped: queueStats.dropped,
+      writeDepth: writeStats.depth,
+      writesCoalesced: writeStats.coalesced,
+      writesDropped: writeStats.dropped,
+      acksPending: reliableStats.pending,
+      retransmits: reliableStats.retransmitted,
+      nacks: reliableStats.nacked,
+      jitterDepth: jitterStats?.depth ?? 0,
+      jitterUnderruns: jitterStats?.underruns ?? 0,
+      jitterLate: jitterStats?.lateDropped ?? 0,
+      notificationsRelayed: streamStatus?.relayed ?? prev.notificationsRelayed,
+      notificationsBuffered: streamStatus?.relayQueueSize ?? prev.notificationsBuffered,
+      lastError: frameStats.rejected > prev.framesRejected
+        ? `Rejected frame: ${frameStats.lastRejectReason}`
+        : prev.lastError,
+    }));
   };
   
   const cleanup = async () => {
+    jitterBufferRef.current?.stopTimer();
+    if (scanTimersRef.current) {
+      clearInterval(scanTimersRef.current.refresh);
+      clearTimeout(scanTimersRef.current.stop);
+    }
     if (bleManagerRef.current) {
       await bleManagerRef.current.cleanup();
     }
@@ -278,6 +1038,44 @@ export default function App() {
     }
   };
   
+  const renderOptions = (options, value, onSelect) => (
+    <View style={styles.optionRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.option, option === value && styles.optionSelected]}
+          onPress={() => onSelect(option)}
+        >
+          <Text style={option === value ? styles.optionTextSelected : styles.optionText}>
+            {String(option)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+  
+  const describeConnection = (event) => {
+    switch (event.type) {
+      case 'connecting':
+        return event.attempt > 1 ? `Connecting (attempt ${event.attempt})...` : 'Connecting...';
+      case 'backoff':
+        return `Retrying in ${Math.ceil(event.delay / 1000)}s (attempt ${event.attempt + 1})`;
+      case 'failed':
+        return `✗ Failed: ${event.error?.message}`;
+      default:
+        return '✗ Disconnected';
+    }
+  };
+  
+  const connectionStyle = (event) =>
+    ['connecting', 'backoff'].includes(event.type) ? styles.pending : styles.disconnected;
+  
+  // Probe statistics from LatencyTracker.getStats()
+  const formatLatency = ({ p50, p95, p99, jitter, uplink, downlink, deviceClock, lost }) =>
+    `p50 ${p50}ms, p95 ${p95}ms, p99 ${p99}ms, jitter ${jitter.toFixed(1)}ms, ` +
+    `${deviceClock ? '' : '~'}${uplink.toFixed(0)}ms up / ${downlink.toFixed(0)}ms down` +
+    (lost ? `, ${lost} lost` : '');
+  
   const formatTime = (seconds) => {
     const h = Math.floor(seconds / 3600);
     const m = Math.floor((seconds % 3600) / 60);
@@ -285,6 +1083,14 @@ export default function App() {
     return `${h}h ${m}m ${s}s`;
   };
   
+  const formatLastSeen = (timestamp) => {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 1440) return `${Math.floor(minutes / 60)}h ago`;
+    return `${Math.floor(minutes / 1440)}d ago`;
+  };
+  
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView contentContainerStyle={styles.scrollContent}>
@@ -295,24 +1101,131 @@ export default function App() {
           <Text style={styles.sectionTitle}>Status</Text>
           <View style={styles.statusRow}>
             <Text>BLE: </Text>
-            <Text style={bleDevice ? styles.connected : styles.disconnected}>
-              {bleDevice ? `✓ ${bleDevice.name}` : '✗ Disconnected'}
-            </Text>
+            {bleDevices.length === 0 ? (
+              <Text style={styles.disconnected}>✗ No devices</Text>
+            ) : (
+              <Text style={connectedDevices.length ? styles.connected : styles.disconnected}>
+                {connectedDevices.length} of {bleDevices.length} connected
+              </Text>
+            )}
           </View>
+          {bleDevices.map(device => (
+            <View key={device.id} style={styles.deviceStatus}>
+              <View style={styles.statusRow}>
+                <Text style={styles.deviceName}>{device.name || device.id}: </Text>
+                {device.connected ? (
+                  <Text style={styles.connected}>
+                    ✓ Connected{device.secure ? ' 🔒 Encrypted' : ''}
+                  </Text>
+                ) : (
+                  <Text style={connectionStyle(device.connection)}>{describeConnection(device.connection)}</Text>
+                )}
+              </View>
+              {device.connected && (
+                <Text style={styles.deviceDetail}>
+                  MTU {device.mtu} bytes, {device.capabilities.version ? `protocol v${device.capabilities.version}` : 'legacy firmware (no handshake)'}, sending {device.encoding}
+                </Text>
+              )}
+              {device.connected && device.capabilities.messageTypes.length > 0 && (
+                <Text style={styles.deviceDetail}>
+                  Message types: {device.capabilities.messageTypes.map(t => `0x${t.toString(16).padStart(2, '0')}`).join(', ')}
+                </Text>
+              )}
+              {device.connected && (device.capabilities.maxMessageRate || device.capabilities.maxPayloadSize) && (
+                <Text style={styles.deviceDetail}>
+                  {[
+                    device.capabilities.maxMessageRate && `Max ${device.capabilities.maxMessageRate} msg/s`,
+                    device.capabilities.maxPayloadSize && `max payload ${device.capabilities.maxPayloadSize} bytes`,
+                  ].filter(Boolean).join(', ')}
+                </Text>
+              )}
+              <Text style={styles.deviceDetail}>
+                {device.stats.sent} sent, {device.queued} queued, {device.stats.failed} failed, {device.stats.avgLatency.toFixed(1)}ms avg
+              </Text>
+              <Text style={styles.deviceDetail}>
+                Writes: {device.writes.depth} waiting, {device.writes.inFlight} in flight, {device.writes.coalesced} coalesced, {device.writes.dropped} dropped
+              </Text>
+              {device.connected && Protocol.supportsFeature(device.capabilities, 'ack') && (
+                <Text style={styles.deviceDetail}>
+                  ACKs: {device.reliable.delivered} delivered, {device.reliable.pending} pending, {device.reliable.retransmitted} resent, {device.reliable.failed} failed
+                </Text>
+              )}
+            </View>
+          ))}
           <View style={styles.statusRow}>
             <Text>Stream: </Text>
-            <Text style={streamConnected ? styles.connected : styles.disconnected}>
-              {streamConnected ? '✓ Connected' : '✗ Disconnected'}
-            </Text>
+            {stats.streamState === 'stalled' ? (
+              <Text style={styles.stalled}>⚠ Stalled (no data)</Text>
+            ) : streamConnected ? (
+              <Text style={styles.connected}>✓ Connected</Text>
+            ) : (
+              <Text style={connectionStyle(streamConnection)}>{describeConnection(streamConnection)}</Text>
+            )}
           </View>
+          {streamConnected && stats.streamEndpoint && (
+            <View style={styles.statusRow}>
+              <Text>Endpoint: </Text>
+              <Text style={styles.endpoint} numberOfLines={1}>
+                {stats.streamEndpointIndex === 0 ? 'Primary' : `Fallback ${stats.streamEndpointIndex}`}
+                {stats.streamTransport === 'poll' ? ' (long polling)' : ''} - {stats.streamEndpoint}
+              </Text>
+            </View>
+          )}
+          {streamConnected && stats.pingLatency !== null && (
+            <View style={styles.statusRow}>
+              <Text>Stream Ping: </Text>
+              <Text>{stats.pingLatency}ms</Text>
+            </View>
+          )}
         </View>
         
         {/* Statistics */}
         <View style={styles.card}>
           <Text style={styles.sectionTitle}>Statistics</Text>
           <Text style={styles.stat}>Messages Sent: {stats.messagesSent}</Text>
-          <Text style={styles.stat}>Messages Queued: {stats.messagesQueued}</Text>
-          <Text style={styles.stat}>Avg Latency: {stats.avgLatency.toFixed(1)}ms</Text>
+          <Text style={styles.stat}>
+            Messages Queued: {stats.messagesQueued} ({stats.queueDropped} dropped, {stats.messagesExpired} expired)
+          </Text>
+          <Text style={styles.stat}>
+            Write Queue: {stats.writeDepth} waiting ({stats.writesCoalesced} coalesced, {stats.writesDropped} dropped)
+          </Text>
+          {bleDevices.some(device => Protocol.supportsFeature(device.capabilities, 'ack')) && (
+            <Text style={styles.stat}>
+              Awaiting ACK: {stats.acksPending} ({stats.retransmits} resent, {stats.nacks} NACKed)
+            </Text>
+          )}
+          <Text style={styles.stat}>Messages Filtered: {stats.messagesFiltered}</Text>
+          {routingText.trim().length > 0 && (
+            <Text style={styles.stat}>Messages Unrouted: {stats.messagesUnrouted}</Text>
+          )}
+          <Text style={styles.stat}>
+            Notifications Relayed: {stats.notificationsRelayed} ({stats.notificationsBuffered} buffered)
+          </Text>
+          <Text style={styles.stat}>Rejected Frames: {stats.framesRejected}</Text>
+          <Text style={styles.stat}>
+            Coordinate Overflows: {stats.coordinateOverflows} ({stats.coordinatesClamped} clamped, {stats.coordinatesRejected} rejected)
+          </Text>
+          {useJitterBuffer && (
+            <Text style={styles.stat}>
+              Jitter Buffer: {stats.jitterDepth} buffered, {stats.jitterUnderruns} underruns, {stats.jitterLate} late
+            </Text>
+          )}
+          {useDelta && (
+            <Text style={styles.stat}>
+              Delta Frames: {stats.deltaUpdates} ({stats.deltaKeyframes} keyframes)
+            </Text>
+          )}
+          {bleDevices.some(device => device.secure) && (
+            <Text style={styles.stat}>
+              Secure Frames: {stats.secureSealed} sent, {stats.secureOpened} received ({stats.secureRejected} rejected)
+            </Text>
+          )}
+          <Text style={styles.stat}>Avg Write Time: {stats.avgLatency.toFixed(1)}ms</Text>
+          {connectedDevices.filter(device => device.latency.samples > 0).map(device => (
+            <Text key={device.id} style={styles.stat}>
+              Round Trip{connectedDevices.length > 1 ? ` (${device.name || device.id})` : ''}: {formatLatency(device.latency)}
+            </Text>
+          ))}
           <Text style={styles.stat}>Uptime: {formatTime(stats.uptime)}</Text>
           <Text style={styles.stat}>Background Time: {formatTime(Math.floor(stats.backgroundTime / 1000))}</Text>
           {stats.lastError && (
@@ -323,39 +1236,200 @@ export default function App() {
         {/* BLE Controls */}
         <View style={styles.card}>
           <Text style={styles.sectionTitle}>Bluetooth LE</Text>
-          {!bleDevice ? (
-            <>
-              <TouchableOpacity
-                style={[styles.button, scanning && styles.buttonDisabled]}
-                onPress={startScanning}
-                disabled={scanning}
-              >
-                {scanning ? (
-                  <ActivityIndicator color="#fff" />
-                ) : (
-                  <Text style={styles.buttonText}>Scan for Devices</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Pairing key (64 hex chars, optional)"
+            value={pairingKey}
+            onChangeText={setPairingKey}
+            autoCapitalize="none"
+            autoCorrect={false}
+            secureTextEntry
+          />
+          
+          <TouchableOpacity
+            style={[styles.button, scanning && styles.buttonDisabled]}
+            onPress={startScanning}
+            disabled={scanning}
+          >
+            {scanning ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>
+                {bleDevices.length ? 'Scan for More Devices' : 'Scan for Devices'}
+              </Text>
+            )}
+          </TouchableOpacity>
+          
+          {devices.filter(device => !bleDevices.some(added => added.id === device.id)).map(device => (
+            <TouchableOpacity
+              key={device.id}
+              style={styles.deviceRow}
+              onPress={() => connectToDevice(device)}
+            >
+              <Text style={styles.deviceName}>{knownName(device.id) || device.name || 'Unnamed device'}</Text>
+              <Text style={styles.deviceId}>
+                {device.id} · {device.rssi} dBm{knownName(device.id) ? ' · known' : ''}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          
+          {bleDevices.map(device => (
+            <View key={device.id} style={styles.deviceRow}>
+              <Text style={styles.deviceName}>{device.name || device.id}</Text>
+              <Text style={styles.deviceId}>{device.id}</Text>
+              <View style={styles.deviceActions}>
+                {device.secure && (
+                  <TouchableOpacity style={styles.smallButton} onPress={() => forgetKey(device)}>
+                    <Text style={styles.buttonText}>Forget Key</Text>
+                  </TouchableOpacity>
                 )}
-              </TouchableOpacity>
-              
-              {devices.map(device => (
                 <TouchableOpacity
-                  key={device.id}
-                  style={styles.deviceRow}
-                  onPress={() => connectToDevice(device)}
+                  style={[styles.smallButton, styles.buttonDanger]}
+                  onPress={() => disconnect(device.id)}
                 >
-                  <Text style={styles.deviceName}>{device.name}</Text>
-                  <Text style={styles.deviceId}>{device.id}</Text>
+                  <Text style={styles.buttonText}>
+                    {device.connected ? 'Disconnect' : 'Cancel'}
+                  </Text>
                 </TouchableOpacity>
-              ))}
-            </>
-          ) : (
+              </View>
+            </View>
+          ))}
+          
+          {bleDevices.length > 1 && (
             <TouchableOpacity
               style={[styles.button, styles.buttonDanger]}
-              onPress={disconnect}
+              onPress={disconnectAll}
             >
-              <Text style={styles.buttonText}>Disconnect</Text>
+              <Text style={styles.buttonText}>Disconnect All</Text>
             </TouchableOpacity>
           )}
+          
+          {knownDevices.length > 0 && (
+            <Text style={styles.label}>Known Devices:</Text>
+          )}
+          {knownDevices.map(device => (
+            <View key={device.id} style={styles.deviceRow}>
+              {editingDevice?.id === device.id ? (
+                <>
+                  <TextInput
+                    style={styles.input}
+                    placeholder="Name"
+                    value={editingDevice.name || ''}
+                    onChangeText={name => setEditingDevice(prev => ({ ...prev, name }))}
+                  />
+                  <Text style={styles.label}>Protocol:</Text>
+                  {renderOptions(
+                    ['default', 'json', 'binary', 'cbor'],
+                    editingDevice.protocol || 'default',
+                    protocol => setEditingDevice(prev => ({ ...prev, protocol: protocol === 'default' ? null : protocol }))
+                  )}
+                  <View style={styles.deviceActions}>
+                    <TouchableOpacity style={styles.smallButton} onPress={() => setEditingDevice(null)}>
+                      <Text style={styles.buttonText}>Cancel</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={[styles.smallButton, styles.buttonSuccess]} onPress={saveDeviceEdit}>
+                      <Text style={styles.buttonText}>Save</Text>
+                    </TouchableOpacity>
+                  </View>
+                </>
+              ) : (
+                <>
+                  <Text style={styles.deviceName}>{device.preferred ? '★ ' : ''}{device.name || device.id}</Text>
+                  <Text style={styles.deviceId}>{device.id}</Text>
+                  <Text style={styles.deviceDetail}>
+                    Last seen {formatLastSeen(device.lastSeen)}, protocol {device.protocol ? device.protocol.toUpperCase() : 'default'}
+                  </Text>
+                  <View style={styles.deviceActions}>
+                    {!bleDevices.some(added => added.id === device.id) && (
+                      <TouchableOpacity style={styles.smallButton} onPress={() => connectToDevice(device)}>
+                        <Text style={styles.buttonText}>Connect</Text>
+                      </TouchableOpacity>
+                    )}
+                    <TouchableOpacity
+                      style={styles.smallButton}
+                      onPress={() => setEditingDevice({ id: device.id, name: device.name, protocol: device.protocol })}
+                    >
+                      <Text style={styles.buttonText}>Edit</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.smallButton, styles.buttonDanger]}
+                      onPress={() => forgetKnownDevice(device)}
+                    >
+                      <Text style={styles.buttonText}>Forget</Text>
+                    </TouchableOpacity>
+                  </View>
+                </>
+              )}
+            </View>
+          ))}
+          
+          <View style={styles.switchRow}>
+            <Text>Auto-Connect on Launch:</Text>
+            <Switch
+              value={autoConnect}
+              onValueChange={setAutoConnect}
+            />
+          </View>
+          <Text style={styles.hint}>
+            Connects to the ★ device, the one picked last, when it's advertising at launch.
+          </Text>
+          
+          <Text style={styles.label}>Max Write Rate (msg/s per device, 0 = firmware limit):</Text>
+          {renderOptions(
+            [0, 10, 20, 30, 50],
+            writeRate,
+            setWriteRate
+          )}
+          
+          <Text style={styles.label}>Writes In Flight:</Text>
+          {renderOptions(
+            [1, 2, 4, 8],
+            writeWindow,
+            setWriteWindow
+          )}
+          <Text style={styles.hint}>
+            Coordinates are written without response and only the newest waiting update is kept. Other messages are acknowledged.
+          </Text>
+          
+          <View style={styles.switchRow}>
+            <Text>Latency Probes:</Text>
+            <Switch
+              value={latencyProbes}
+              onValueChange={setLatencyProbes}
+            />
+          </View>
+          <Text style={styles.hint}>
+            Once a second, to firmware that echoes them. Round trips show in Statistics.
+          </Text>
+          
+          <View style={styles.switchRow}>
+            <Text>Acknowledged Delivery:</Text>
+            <Switch
+              value={acknowledged}
+              onValueChange={setAcknowledged}
+            />
+          </View>
+          <Text style={styles.hint}>
+            Messages other than coordinates wait for the firmware's ACK and are resent until it arrives. Needs firmware that sends ACKs.
+          </Text>
+          
+          <Text style={styles.label}>Device Routing (JSON):</Text>
+          <TextInput
+            style={[styles.input, styles.codeInput]}
+            placeholder='{"routes": [{"kinds": ["score"], "devices": ["Scoreboard"]}]}'
+            value={routingText}
+            onChangeText={setRoutingText}
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+          />
+          {routingError ? (
+            <Text style={styles.error}>{routingError}</Text>
+          ) : (
+            <Text style={styles.hint}>
+              Empty sends every message to every device. Kinds are message types; devices are names or ids.
+            </Text>
+          )}
         </View>
         
         {/* Stream Configuration */}
@@ -363,21 +1437,298 @@ export default function App() {
           <Text style={styles.sectionTitle}>Stream Configuration</Text>
           <TextInput
             style={styles.input}
-            placeholder="WebSocket/SSE URL"
-            value={streamUrl}
-            onChangeText={setStreamUrl}
+            placeholder="Stream URLs - ws, SSE, poll+ or mqtt+ (one per line, primary first)"
+            value={streamUrls}
+            onChangeText={setStreamUrls}
             autoCapitalize="none"
             autoCorrect={false}
+            multiline
           />
           
+          <TextInput
+            style={styles.input}
+            placeholder="Access token (optional)"
+            value={authToken}
+            onChangeText={setAuthToken}
+            autoCapitalize="none"
+            autoCorrect={false}
+            secureTextEntry
+          />
+          
+          {authToken.length > 0 && (
+            <>
+              <Text style={styles.label}>Send Token As:</Text>
+              {renderOptions(
+                ['header', 'query'],
+                tokenPlacement,
+                setTokenPlacement
+              )}
+            </>
+          )}
+          
+          {getStreamEndpoints().some(url => url.startsWith('mqtt+')) && (
+            <>
+              <Text style={styles.label}>MQTT Topics:</Text>
+              <TextInput
+                style={[styles.input, styles.codeInput]}
+                placeholder={'match/+/ball 1 position\nmatch/+/events/# 1 matchEvent'}
+                value={mqttTopics}
+                onChangeText={setMqttTopics}
+                autoCapitalize="none"
+                autoCorrect={false}
+                multiline
+              />
+              <Text style={styles.hint}>
+                One per line: topic filter, QoS (0 or 1), then the message type to tag it with
+              </Text>
+              
+              <TextInput
+                style={styles.input}
+                placeholder="MQTT username (optional)"
+                value={mqttUsername}
+                onChangeText={setMqttUsername}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              
+              <TextInput
+                style={styles.input}
+                placeholder="MQTT password (optional)"
+                value={mqttPassword}
+                onChangeText={setMqttPassword}
+                autoCapitalize="none"
+                autoCorrect={false}
+                secureTextEntry
+              />
+              
+              <TextInput
+                style={styles.input}
+                placeholder="Publish device notifications to topic (optional)"
+                value={mqttPublishTopic}
+                onChangeText={setMqttPublishTopic}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              
+              <Text style={styles.label}>Keepalive (s):</Text>
+              {renderOptions(
+                [15, 30, 60],
+                mqttKeepalive,
+                setMqttKeepalive
+              )}
+              
+              <View style={styles.switchRow}>
+                <Text>Clean Session:</Text>
+                <Switch
+                  value={mqttCleanSession}
+                  onValueChange={setMqttCleanSession}
+                />
+              </View>
+              {!mqttCleanSession && (
+                <Text style={styles.hint}>
+                  The broker keeps QoS 1 messages for client {mqttClientId} while the app is offline
+                </Text>
+              )}
+            </>
+          )}
+          
+          {getStreamEndpoints().some(url => url.startsWith('ws')) && (
+            <>
+              <Text style={styles.label}>Binary Frames:</Text>
+              {renderOptions(
+                ['decode', 'passthrough'],
+                binaryMode,
+                setBinaryMode
+              )}
+            </>
+          )}
+          
+          {getStreamEndpoints().some(url => /^(poll\+)?https?:/.test(url)) && (
+            <>
+              <Text style={styles.label}>HTTP Transport:</Text>
+              {renderOptions(
+                ['sse', 'poll'],
+                httpTransport,
+                setHttpTransport
+              )}
+              <Text style={styles.hint}>
+                Long polling is slower but survives proxies that buffer SSE. Prefix a URL with poll+ to poll only that endpoint.
+              </Text>
+              
+              <TextInput
+                style={styles.input}
+                placeholder="Forward SSE events (e.g. position, matchEvent)"
+                value={forwardedEvents}
+                onChangeText={setForwardedEvents}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              
+              <TextInput
+                style={styles.input}
+                placeholder="Notification relay URL for SSE / polling (https://...)"
+                value={relayUrl}
+                onChangeText={setRelayUrl}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            </>
+          )}
+          
+          <Text style={styles.label}>Message Mapping (JSON):</Text>
+          <TextInput
+            style={[styles.input, styles.codeInput]}
+            placeholder='{"fields": {"x": "ball.pos[0]", "y": "ball.pos[1]"}}'
+            value={mappingText}
+            onChangeText={setMappingText}
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+          />
+          {mappingError && (
+            <Text style={styles.error}>{mappingError}</Text>
+          )}
+          
+          <TextInput
+            style={[styles.input, styles.codeInput]}
+            placeholder="Paste a sample message to test the mapping"
+            value={sampleMessage}
+            onChangeText={setSampleMessage}
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+          />
+          <TouchableOpacity
+            style={[styles.button, !sampleMessage.trim() && styles.buttonDisabled]}
+            onPress={testMapping}
+            disabled={!sampleMessage.trim()}
+          >
+            <Text style={styles.buttonText}>Test Mapping</Text>
+          </TouchableOpacity>
+          {mappingResult && (
+            <Text style={[styles.hint, styles.code]}>{mappingResult}</Text>
+          )}
+          
+          <Text style={styles.label}>Wire Format:</Text>
+          {renderOptions(
+            ['json', 'binary', 'cbor'],
+            wireFormat,
+            selectWireFormat
+          )}
+          
+          <View style={styles.switchRow}>
+            <Text>CRC Framing:</Text>
+            <Switch
+              value={useFraming}
+              onValueChange={toggleFraming}
+              disabled={wireFormat === 'json'}
+            />
+          </View>
+          
+          <View style={styles.switchRow}>
+            <Text>Delta Coordinates:</Text>
+            <Switch
+              value={useDelta}
+              onValueChange={toggleDelta}
+              disabled={wireFormat !== 'binary'}
+            />
+          </View>
+          {useDelta && connectedDevices.length > 1 && (
+            <Text style={styles.hint}>Delta coordinates pause while more than one device is connected</Text>
+          )}
+          
+          {wireFormat === 'binary' && (
+            <>
+              <Text style={styles.label}>Coordinate Width:</Text>
+              {renderOptions(
+                ['int16', 'int32', 'float32'],
+                coordinateProfile.width,
+                width => updateCoordinateProfile({ width })
+              )}
+              
+              {coordinateProfile.width !== 'float32' && (
+                <>
+                  <Text style={styles.label}>Coordinate Scale:</Text>
+                  {renderOptions(
+                    [1, 10, 100, 1000],
+                    coordinateProfile.scale,
+                    scale => updateCoordinateProfile({ scale })
+                  )}
+                  
+                  <View style={styles.switchRow}>
+                    <Text>Signed Coordinates:</Text>
+                    <Switch
+                      value={coordinateProfile.signed}
+                      onValueChange={signed => updateCoordinateProfile({ signed })}
+                    />
+                  </View>
+                </>
+              )}
+              
+              <Text style={styles.label}>On Overflow:</Text>
+              {renderOptions(
+                ['clamp', 'reject'],
+                coordinateProfile.overflow,
+                overflow => updateCoordinateProfile({ overflow })
+              )}
+              
+              <Text style={styles.hint}>
+                Range: {Protocol.coordinateRange(coordinateProfile).min} to {Protocol.coordinateRange(coordinateProfile).max}
+              </Text>
+            </>
+          )}
+          
           <View style={styles.switchRow}>
-            <Text>Binary Protocol:</Text>
+            <Text>Jitter Buffer:</Text>
             <Switch
-              value={useBinaryProtocol}
-              onValueChange={setUseBinaryProtocol}
+              value={useJitterBuffer}
+              onValueChange={setUseJitterBuffer}
             />
           </View>
           
+          {useJitterBuffer && (
+            <>
+              <Text style={styles.label}>Playout Delay (ms):</Text>
+              {renderOptions(
+                [50, 100, 150, 250, 500],
+                jitterDelay,
+                setJitterDelay
+              )}
+              
+              <Text style={styles.label}>Playout Rate (Hz):</Text>
+              {renderOptions(
+                [10, 20, 30, 50],
+                playoutRate,
+                setPlayoutRate
+              )}
+              
+              <View style={styles.switchRow}>
+                <Text>Interpolate Coordinates:</Text>
+                <Switch
+                  value={interpolate}
+                  onValueChange={setInterpolate}
+                />
+              </View>
+            </>
+          )}
+          
+          <Text style={styles.label}>When Offline Queue Is Full:</Text>
+          {renderOptions(
+            ['drop-oldest', 'drop-newest', 'latest-only'],
+            queuePolicy,
+            setQueuePolicy
+          )}
+          {queuePolicy === 'latest-only' && (
+            <Text style={styles.hint}>Only the newest message of each type is kept</Text>
+          )}
+          
+          <Text style={styles.label}>Queued Message Expiry (s, 0 = never):</Text>
+          {renderOptions(
+            [0, 10, 60, 300],
+            queueTtl,
+            setQueueTtl
+          )}
+          
           <View style={styles.switchRow}>
             <Text>Auto Reconnect:</Text>
             <Switch
@@ -390,7 +1741,7 @@ export default function App() {
             <Text style={styles.buttonText}>Save Settings</Text>
           </TouchableOpacity>
           
-          {!streamConnected ? (
+          {!streamConnected && ['idle', 'failed'].includes(streamConnection.type) ? (
             <TouchableOpacity
               style={[styles.button, styles.buttonSuccess]}
               onPress={connectStream}
@@ -402,7 +1753,9 @@ export default function App() {
               style={[styles.button, styles.buttonDanger]}
               onPress={disconnectStream}
             >
-              <Text style={styles.buttonText}>Disconnect Stream</Text>
+              <Text style={styles.buttonText}>
+                {streamConnected ? 'Disconnect Stream' : 'Cancel Connection'}
+              </Text>
             </TouchableOpacity>
           )}
         </View>
@@ -464,6 +1817,16 @@ const styles = StyleSheet.create({
     color: '#f44336',
     fontWeight: '600',
   },
+  stalled: {
+    color: '#ff9800',
+    fontWeight: '600',
+  },
+  pending: {
+    color: '#ff9800',
+  },
+  endpoint: {
+    flexShrink: 1,
+  },
   stat: {
     fontSize: 14,
     marginBottom: 4,
@@ -503,6 +1866,44 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginBottom: 12,
   },
+  label: {
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 12,
+  },
+  code: {
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  codeInput: {
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  option: {
+    flex: 1,
+    padding: 8,
+    borderWidth: 1,
+    borderColor: '#2196f3',
+    alignItems: 'center',
+  },
+  optionSelected: {
+    backgroundColor: '#2196f3',
+  },
+  optionText: {
+    color: '#2196f3',
+  },
+  optionTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
   switchRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -524,4 +1925,27 @@ const styles = StyleSheet.create({
     color: '#666',
     marginTop: 4,
   },
+  deviceStatus: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#2196f3',
+    paddingLeft: 8,
+    marginBottom: 8,
+  },
+  deviceDetail: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 2,
+  },
+  deviceActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  smallButton: {
+    backgroundColor: '#2196f3',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    marginTop: 8,
+    marginLeft: 8,
+  },
 });
\ No newline at end of file
@@ -1,202 +1,393 @@
 import { BleManager as PlxBleManager } from 'react-native-ble-plx';
-import { PermissionsAndroid, Platform, Alert } from 'react-native';
+import { PermissionsAndroid, Platform } from 'react-native';
 import base64 from 'base-64';
+import { Protocol, FragmentReassembler, ProtocolError } from './protocol';
+import { SecureSession, bytesToHex, hexToBytes } from './secureSession';
+import { ConnectionMachine } from './connectionMachine';
+import { WriteScheduler } from './writeScheduler';
+import { LatencyTracker } from './latencyTracker';
+import { ReliableChannel } from './reliableChannel';
 
-export class BleManager {
-  constructor(config) {
-    this.manager = new PlxBleManager();
-    this.serviceUuid = config.serviceUuid;
-    this.characteristicUuid = config.characteristicUuid;
-    this.onDeviceConnected = config.onDeviceConnected || (() => {});
-    this.onDeviceDisconnected = config.onDeviceDisconnected || (() => {});
-    this.onError = config.onError || (() => {});
+// BLE 4.0 default - used until the real MTU is known
+const DEFAULT_MTU = 23;
+
+function toBase64(bytes) {
+  return base64.encode(String.fromCharCode.apply(null, bytes));
+}
+
+function fromBase64(value) {
+  const binary = base64.decode(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// One connection to one ESP32, with its own reconnect state, MTU, fragment
+// reassembly, firmware capabilities, secure session, write scheduler, reliable
+// channel, latency probes and stats
+class DeviceLink {
+  constructor(owner, deviceId, name) {
+    this.owner = owner;
+    this.manager = owner.manager;
+    this.id = deviceId;
+    this.name = name;
     
-    this.connectedDevice = null;
+    this.device = null;
     this.subscription = null;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
-    this.reconnectDelay = 1000;
-    this.isReconnecting = false;
-    this.lastDeviceId = null;
+    this.disconnectSubscription = null;
+    this.mtu = DEFAULT_MTU;
+    this.reassembler = new FragmentReassembler();
+    this.capabilities = null;
+    this.pendingHandshake = null;
+    this.session = null;
+    this.lastEvent = { type: 'idle' };
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      bytes: 0,
+      avgLatency: 0,
+    };
+    this.latency = new LatencyTracker();
+    this.probeTimer = null;
+    this.probeSeq = 0;
+    this.pendingProbes = new Map(); // seq -> local time the probe write started
     
-    // Monitor BLE state changes
-    this.stateSubscription = this.manager.onStateChange((state) => {
-      console.log('[BLE] State changed to:', state);
-      if (state === 'PoweredOn' && this.isReconnecting && this.lastDeviceId) {
-        this.reconnect();
-      }
-    }, true);
-  }
-  
-  async initialize() {
-    // Request permissions on Android
-    if (Platform.OS === 'android') {
-      const granted = await PermissionsAndroid.requestMultiple([
-        PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
-        PermissionsAndroid.PERMISSIONS.BLUETOOTH_SCAN,
-        PermissionsAndroid.PERMISSIONS.BLUETOOTH_CONNECT,
-      ]);
-      
-      const allGranted = Object.values(granted).every(
-        res => res === PermissionsAndroid.RESULTS.GRANTED
-      );
-      
-      if (!allGranted) {
-        throw new Error('Bluetooth permissions are required');
-      }
-    }
+    // Retries back off exponentially; incompatible firmware won't get better by retrying
+    this.connection = new ConnectionMachine({
+      name: `BLE ${name || deviceId}`,
+      maxAttempts: 10,
+      baseDelay: 1000,
+      maxDelay: 30000,
+      attempt: (signal) => this.connectOnce(signal),
+      shouldRetry: (error) => !(error instanceof ProtocolError),
+      onTransition: (event) => {
+        this.lastEvent = event;
+        // Nothing pending will be ACKed once reconnecting has been given up
+        if (event.type === 'failed') {
+          this.reliable.clear(event.error || new Error('Device disconnected'));
+        }
+        owner.onConnectionState(event, this.id);
+      },
+    });
     
-    // Wait for BLE to be ready
-    const state = await this.manager.state();
-    if (state !== 'PoweredOn') {
-      await new Promise((resolve) => {
-        const sub = this.manager.onStateChange((state) => {
-          if (state === 'PoweredOn') {
-            sub.remove();
-            resolve();
-          }
-        }, true);
-      });
-    }
+    this.scheduler = new WriteScheduler({
+      name: `BLE ${name || deviceId}`,
+      write: (data, { withResponse }) => withResponse
+        ? this.sendData(data)
+        : this.sendDataWithoutResponse(data),
+    });
+    this.configureWrites();
+    
+    this.reliable = new ReliableChannel({
+      name: `BLE ${name || deviceId}`,
+      write: (data) => this.scheduler.enqueue(data, { priority: 'reliable' }),
+      ...owner.reliableOptions,
+    });
   }
   
-  async startScan(onDeviceFound, serviceUUIDs = null) {
-    return new Promise((resolve, reject) => {
-      this.manager.startDeviceScan(
-        serviceUUIDs,
-        { allowDuplicates: false },
-        (error, device) => {
-          if (error) {
-            this.onError(error);
-            reject(error);
-            return;
-          }
-          
-          if (device && device.name) {
-            onDeviceFound({
-              id: device.id,
-              name: device.name,
-              rssi: device.rssi,
-            });
-          }
-        }
-      );
-      resolve();
+  // The firmware's advertised maxMessageRate caps the configured rate
+  configureWrites() {
+    const { rate, ...options } = this.owner.writeOptions;
+    const limit = this.capabilities?.maxMessageRate || 0;
+    this.scheduler.configure({
+      ...options,
+      rate: rate && limit ? Math.min(rate, limit) : rate || limit,
     });
   }
   
-  stopScan() {
-    this.manager.stopDeviceScan();
+  connect() {
+    return this.connection.start();
   }
   
-  async connect(deviceId, retryCount = 0) {
+  // A single attempt. The signal aborts when the user disconnects mid-attempt.
+  async connectOnce(signal) {
+    const cancelPending = () => {
+      this.manager.cancelDeviceConnection(this.id).catch(() => {});
+    };
+    signal.addEventListener('abort', cancelPending);
+    
     try {
-      // Stop any ongoing scan
-      this.stopScan();
-      
-      // Store device ID for reconnection
-      this.lastDeviceId = deviceId;
-      this.isReconnecting = false;
-      
       // Connect with timeout
-      console.log('[BLE] Connecting to device:', deviceId);
-      const device = await this.manager.connectToDevice(deviceId, {
+      console.log('[BLE] Connecting to device:', this.id);
+      const device = await this.manager.connectToDevice(this.id, {
         requestMTU: 512, // Request larger MTU for better throughput
         timeout: 10000,
       });
+      signal.removeEventListener('abort', cancelPending);
       
-      // Discover services and characteristics
-      await device.discoverAllServicesAndCharacteristics();
-      
-      // Verify our service exists
-      const services = await device.services();
-      const service = services.find(s => s.uuid === this.serviceUuid);
-      if (!service) {
-        throw new Error('Required service not found on device');
+      try {
+        return await this.setupDevice(device, signal);
+      } catch (error) {
+        await this.abortConnection(device);
+        throw error;
       }
+    } catch (error) {
+      console.error(`[BLE] Connection to ${this.id} failed:`, error);
+      throw error;
+    } finally {
+      signal.removeEventListener('abort', cancelPending);
+    }
+  }
+  
+  async setupDevice(device, signal) {
+    const checkAborted = () => {
+      if (signal.aborted) {
+        throw new Error('Connection cancelled');
+      }
+    };
+    
+    // iOS ignores requestMTU and many Android stacks negotiate less
+    this.mtu = device.mtu || DEFAULT_MTU;
+    console.log(`[BLE] Negotiated MTU for ${this.id}:`, this.mtu);
+    
+    // Discover services and characteristics
+    await device.discoverAllServicesAndCharacteristics();
+    checkAborted();
+    
+    // Verify our service exists
+    const services = await device.services();
+    const service = services.find(s => s.uuid === this.owner.serviceUuid);
+    if (!service) {
+      throw new Error('Required service not found on device');
+    }
+    
+    // Setup notification subscription for bidirectional communication
+    this.subscription = await device.monitorCharacteristicForService(
+      this.owner.serviceUuid,
+      this.owner.characteristicUuid,
+      this.handleNotification.bind(this)
+    );
+    checkAborted();
+    
+    this.device = device;
+    this.name = device.name || this.name;
+    
+    // Find out what the firmware understands before any data goes out
+    this.capabilities = await this.performHandshake();
+    Protocol.checkCapabilities(this.capabilities);
+    checkAborted();
+    this.configureWrites();
+    this.startProbing();
+    this.startReliable();
+    
+    // Setup disconnection handler
+    this.disconnectSubscription = device.onDisconnected((error) => {
+      console.log(`[BLE] Device ${this.id} disconnected:`, error?.message || 'No error');
+      this.handleDisconnection(error);
+    });
+    
+    this.owner.onDeviceConnected(device, this.capabilities);
+    
+    console.log('[BLE] Successfully connected to:', device.name);
+    return device;
+  }
+  
+  async performHandshake() {
+    this.capabilities = null;
+    this.session = null;
+    
+    // A stored key means this device was paired - offer a secure session
+    const key = await this.owner.getDeviceKey(this.id);
+    const appNonce = key ? SecureSession.createNonce() : null;
+    
+    const reply = new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pendingHandshake = null;
+        console.warn(`[BLE] No handshake reply from ${this.id}, assuming legacy firmware`);
+        resolve(null);
+      }, this.owner.handshakeTimeout);
       
-      // Setup notification subscription for bidirectional communication
-      this.subscription = await device.monitorCharacteristicForService(
-        this.serviceUuid,
-        this.characteristicUuid,
-        this.handleNotification.bind(this)
+      this.pendingHandshake = (message) => {
+        clearTimeout(timer);
+        this.pendingHandshake = null;
+        resolve(message);
+      };
+    });
+    
+    await this.sendData(Protocol.encodeHello(appNonce && bytesToHex(appNonce), this.reliable.channel), { control: true });
+    
+    const capabilities = Protocol.parseCapabilities(await reply);
+    console.log(`[BLE] Firmware capabilities of ${this.id}:`, capabilities);
+    
+    if (key) {
+      this.session = this.createSession(key, appNonce, capabilities);
+      console.log(`[BLE] Secure session established with ${this.id}`);
+    }
+    return capabilities;
+  }
+  
+  // Paired devices must agree to a secure session - never fall back to plaintext
+  createSession(key, appNonce, capabilities) {
+    if (!Protocol.supportsFeature(capabilities, 'secure') || !capabilities.sessionNonce) {
+      throw new ProtocolError(
+        'This device has a pairing key but its firmware did not offer a secure session. Refusing to connect unencrypted.'
+      );
+    }
+    
+    try {
+      return new SecureSession(
+        SecureSession.parseKey(key),
+        appNonce,
+        hexToBytes(capabilities.sessionNonce)
       );
-      
-      // Setup disconnection handler
-      device.onDisconnected((error) => {
-        console.log('[BLE] Device disconnected:', error?.message || 'No error');
-        this.handleDisconnection();
-      });
-      
-      this.connectedDevice = device;
-      this.reconnectAttempts = 0;
-      this.onDeviceConnected(device);
-      
-      console.log('[BLE] Successfully connected to:', device.name);
-      return device;
-      
     } catch (error) {
-      console.error('[BLE] Connection failed:', error);
-      
-      // Implement exponential backoff for reconnection
-      if (retryCount < this.maxReconnectAttempts) {
-        const delay = Math.min(this.reconnectDelay * Math.pow(2, retryCount), 30000);
-        console.log(`[BLE] Retrying connection in ${delay}ms (attempt ${retryCount + 1})`);
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this.connect(deviceId, retryCount + 1);
+      throw new ProtocolError(`Could not start secure session: ${error.message}`);
+    }
+  }
+  
+  supportsAcks() {
+    return Protocol.supportsFeature(this.capabilities, 'ack');
+  }
+  
+  // Messages left pending by a dropped connection go out again before anything new
+  startReliable() {
+    if (this.supportsAcks()) {
+      this.reliable.resume();
+    } else {
+      this.reliable.clear(new Error('Firmware no longer acknowledges messages'));
+    }
+  }
+  
+  // Probes only go to firmware that advertises the "echo" feature
+  startProbing() {
+    this.stopProbing();
+    this.latency.reset();
+    
+    const { interval } = this.owner.probeOptions;
+    if (!interval || !Protocol.supportsFeature(this.capabilities, 'echo')) return;
+    
+    this.probeTimer = setInterval(() => this.sendProbe(), interval);
+  }
+  
+  stopProbing() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+    this.pendingProbes.clear();
+  }
+  
+  sendProbe() {
+    this.expireProbes();
+    
+    const seq = this.probeSeq = (this.probeSeq + 1) % 0x10000;
+    // Timed from when the write starts, so time spent queued behind data doesn't count.
+    // A probe still waiting is replaced by the next one rather than piling up.
+    this.scheduler.enqueue(() => {
+      this.pendingProbes.set(seq, Date.now());
+      return Protocol.encodeProbe(seq);
+    }, { priority: 'realtime', key: 'probe' }).catch(() => {});
+  }
+  
+  expireProbes() {
+    const cutoff = Date.now() - this.owner.probeOptions.timeout;
+    for (const [seq, sentAt] of this.pendingProbes) {
+      if (sentAt < cutoff) {
+        this.pendingProbes.delete(seq);
+        this.latency.recordLoss();
       }
-      
-      this.onError(error);
-      throw error;
+    }
+  }
+  
+  handleEcho({ seq, dt }, receivedAt) {
+    const sentAt = this.pendingProbes.get(seq);
+    // Unknown, or so late it already counted as lost
+    if (sentAt === undefined) return;
+    
+    this.pendingProbes.delete(seq);
+    this.latency.record({ sentAt, receivedAt, deviceTime: dt });
+  }
+  
+  // Tear down a half-established connection without triggering auto-reconnect
+  async abortConnection(device) {
+    this.stopProbing();
+    if (this.subscription) {
+      this.subscription.remove();
+      this.subscription = null;
+    }
+    
+    this.device = null;
+    this.mtu = DEFAULT_MTU;
+    this.capabilities = null;
+    this.session = null;
+    
+    try {
+      await this.manager.cancelDeviceConnection(device.id);
+    } catch (error) {
+      console.error('[BLE] Error aborting connection:', error);
     }
   }
   
   async disconnect() {
-    this.isReconnecting = false;
-    this.lastDeviceId = null;
+    // Cancels an attempt in flight or a pending retry, so nothing reconnects afterwards
+    this.connection.stop();
+    this.scheduler.clear(new Error('Device disconnected'));
+    this.reliable.clear(new Error('Device disconnected'));
+    this.stopProbing();
+    
+    if (this.disconnectSubscription) {
+      this.disconnectSubscription.remove();
+      this.disconnectSubscription = null;
+    }
     
     if (this.subscription) {
       this.subscription.remove();
       this.subscription = null;
     }
     
-    if (this.connectedDevice) {
+    if (this.device) {
       try {
-        await this.manager.cancelDeviceConnection(this.connectedDevice.id);
+        await this.manager.cancelDeviceConnection(this.id);
       } catch (error) {
         console.error('[BLE] Error during disconnect:', error);
       }
-      this.connectedDevice = null;
+      this.device = null;
+      this.owner.onDeviceDisconnected(this.id);
     }
+    
+    this.mtu = DEFAULT_MTU;
+    this.reassembler.reset();
+    this.capabilities = null;
+    this.session = null;
   }
   
-  async sendData(data) {
-    if (!this.connectedDevice) {
+  // Control messages (the handshake) are left out of the write stats
+  async sendData(data, { control = false } = {}) {
+    if (!this.device) {
       throw new Error('No device connected');
     }
     
+    this.checkPayloadSize(data);
+    
     try {
-      // Encode data to base64
-      const encoded = typeof data === 'string' 
-        ? base64.encode(data)
-        : base64.encode(String.fromCharCode.apply(null, new Uint8Array(data)));
+      // Split to the negotiated MTU - oversized writes get truncated silently
+      const fragments = Protocol.fragment(this.seal(data), this.getMaxWriteSize());
       
-      // Write with response for reliability
-      await this.connectedDevice.writeCharacteristicWithResponseForService(
-        this.serviceUuid,
-        this.characteristicUuid,
-        encoded
-      );
+      // Write with response for reliability. Every fragment is issued before awaiting
+      // any, so fragments of messages in flight together can't interleave.
+      const startTime = Date.now();
+      await Promise.all(fragments.map(fragment =>
+        this.device.writeCharacteristicWithResponseForService(
+          this.owner.serviceUuid,
+          this.owner.characteristicUuid,
+          toBase64(fragment)
+        )
+      ));
+      if (!control) {
+        this.recordWrite(fragments, Date.now() - startTime);
+      }
       
       return true;
     } catch (error) {
-      console.error('[BLE] Failed to send data:', error);
+      console.error(`[BLE] Failed to send data to ${this.id}:`, error);
+      this.stats.failed++;
       
       // Check if device is still connected
-      const isConnected = await this.connectedDevice.isConnected();
-      if (!isConnected) {
-        this.handleDisconnection();
+      const isConnected = await this.device?.isConnected();
+      if (isConnected === false) {
+        this.handleDisconnection(error);
       }
       
       throw error;
@@ -205,104 +396,439 @@ export class BleManager {
   
   async sendDataWithoutResponse(data) {
     // For high-frequency updates where occasional loss is acceptable
-    if (!this.connectedDevice) {
+    if (!this.device) {
       throw new Error('No device connected');
     }
     
+    this.checkPayloadSize(data);
+    
     try {
-      const encoded = typeof data === 'string' 
-        ? base64.encode(data)
-        : base64.encode(String.fromCharCode.apply(null, new Uint8Array(data)));
+      const fragments = Protocol.fragment(this.seal(data), this.getMaxWriteSize());
       
-      await this.connectedDevice.writeCharacteristicWithoutResponseForService(
-        this.serviceUuid,
-        this.characteristicUuid,
-        encoded
-      );
+      await Promise.all(fragments.map(fragment =>
+        this.device.writeCharacteristicWithoutResponseForService(
+          this.owner.serviceUuid,
+          this.owner.characteristicUuid,
+          toBase64(fragment)
+        )
+      ));
+      this.recordWrite(fragments, null);
       
       return true;
     } catch (error) {
-      console.error('[BLE] Failed to send data without response:', error);
+      console.error(`[BLE] Failed to send data without response to ${this.id}:`, error);
+      this.stats.failed++;
       throw error;
     }
   }
   
+  // Latency is only known for writes the device acknowledged
+  recordWrite(fragments, latency) {
+    this.stats.sent++;
+    this.stats.bytes += fragments.reduce((total, fragment) => total + fragment.length, 0);
+    if (latency !== null) {
+      this.stats.avgLatency = this.stats.avgLatency
+        ? this.stats.avgLatency * 0.9 + latency * 0.1 // Exponential moving average
+        : latency;
+    }
+  }
+  
+  // Refuse messages the firmware told us it can't buffer
+  checkPayloadSize(data) {
+    const maxPayloadSize = this.capabilities?.maxPayloadSize;
+    if (!maxPayloadSize) return;
+    
+    const length = Protocol.toBytes(data).length;
+    if (length > maxPayloadSize) {
+      throw new ProtocolError(
+        `Message is ${length} bytes but the firmware accepts at most ${maxPayloadSize}`
+      );
+    }
+  }
+  
+  seal(data) {
+    return this.session ? this.session.seal(Protocol.toBytes(data)) : data;
+  }
+  
   handleNotification(error, characteristic) {
     if (error) {
-      console.error('[BLE] Notification error:', error);
-      this.onError(error);
+      console.error(`[BLE] Notification error from ${this.id}:`, error);
+      this.owner.onError(error, this.id);
       return;
     }
     
     if (!characteristic?.value) return;
+    const receivedAt = Date.now();
     
     try {
-      const decoded = base64.decode(characteristic.value);
-      console.log('[BLE] Notification received:', decoded);
+      // The ESP32 fragments long notifications the same way we fragment writes
+      let message = this.reassembler.push(fromBase64(characteristic.value));
+      if (!message) return;
+      
+      // Once a session is up, anything that doesn't authenticate is dropped
+      if (this.session) {
+        message = this.session.open(message);
+        if (!message) return;
+      }
+      
+      // Damaged frames are counted in Protocol.getFrameStats() and dropped here
+      if (Protocol.isFramed(message)) {
+        const decoded = Protocol.decodeBinary(message.buffer);
+        if (decoded) {
+          this.deliverNotification(decoded);
+        }
+        return;
+      }
       
-      // Handle ESP32 responses/acknowledgments here
-      // Could be used for latency measurement or flow control
+      const control = Protocol.decodeControl(message);
+      if (control?.ctl === 'caps' && this.pendingHandshake) {
+        this.pendingHandshake(control);
+        return;
+      }
+      if (control?.ctl === 'echo') {
+        this.handleEcho(control, receivedAt);
+        return;
+      }
+      if (control?.ctl === 'ack') {
+        this.reliable.ack(control.seq);
+        return;
+      }
+      if (control?.ctl === 'nack') {
+        this.reliable.nack(control.seq, control.err);
+        return;
+      }
+      
+      this.deliverNotification(this.decodeText(Protocol.decodeString(message)));
     } catch (err) {
       console.error('[BLE] Error decoding notification:', err);
     }
   }
   
-  handleDisconnection() {
-    this.connectedDevice = null;
+  // Text notifications are either our {t, d} JSON envelope, bare JSON or plain text
+  decodeText(text) {
+    try {
+      const parsed = JSON.parse(text.trim());
+      if (parsed && typeof parsed === 'object' && 'd' in parsed) {
+        return { timestamp: parsed.t ?? null, data: parsed.d };
+      }
+      return { timestamp: null, data: parsed };
+    } catch {
+      return { timestamp: null, data: text };
+    }
+  }
+  
+  deliverNotification({ timestamp, data }) {
+    console.log(`[BLE] Notification received from ${this.id}:`, data);
+    this.owner.onNotification(data, {
+      deviceId: this.id,
+      deviceTimestamp: timestamp ?? null,
+    });
+  }
+  
+  handleDisconnection(error = null) {
+    if (!this.device) return;
+    
+    this.device = null;
+    this.scheduler.clear(new Error('Device disconnected'));
+    // Unacknowledged messages wait for the reconnect rather than being re-queued, so
+    // they keep their sequence numbers
+    this.reliable.pause();
+    this.stopProbing();
+    this.mtu = DEFAULT_MTU;
+    this.reassembler.reset();
+    this.capabilities = null;
+    this.session = null;
     
     if (this.subscription) {
       this.subscription.remove();
       this.subscription = null;
     }
+    if (this.disconnectSubscription) {
+      this.disconnectSubscription.remove();
+      this.disconnectSubscription = null;
+    }
     
-    this.onDeviceDisconnected();
+    this.owner.onDeviceDisconnected(this.id);
     
-    // Auto-reconnect if we have a last device ID
-    if (this.lastDeviceId && !this.isReconnecting) {
-      this.isReconnecting = true;
-      this.reconnect();
-    }
+    // Reconnects to the same device with backoff
+    this.connection.connectionLost(error);
+  }
+  
+  getMaxWriteSize() {
+    return Protocol.getMaxWriteSize(this.mtu);
   }
   
-  async reconnect() {
-    if (!this.lastDeviceId || !this.isReconnecting) return;
+  // Connected and past the handshake, so the firmware's capabilities are known
+  isReady() {
+    return this.device !== null && this.capabilities !== null;
+  }
+  
+  getStatus() {
+    return {
+      id: this.id,
+      name: this.name,
+      connected: this.isReady(),
+      connection: this.lastEvent,
+      mtu: this.mtu,
+      capabilities: this.capabilities,
+      secure: !!this.session,
+      stats: { ...this.stats },
+      writes: this.scheduler.getStats(),
+      reliable: this.reliable.getStats(),
+      latency: this.latency.getStats(),
+    };
+  }
+}
+
+/**
+ * Owns the radio and fans out to any number of devices at once. Every device method
+ * takes the device id; each device connects, retries and fails on its own.
+ */
+export class BleManager {
+  constructor(config) {
+    this.manager = new PlxBleManager();
+    this.serviceUuid = config.serviceUuid;
+    this.characteristicUuid = config.characteristicUuid;
+    this.onDeviceConnected = config.onDeviceConnected || (() => {});
+    this.onDeviceDisconnected = config.onDeviceDisconnected || (() => {});
+    this.onError = config.onError || (() => {});
+    this.onNotification = config.onNotification || (() => {});
+    this.onConnectionState = config.onConnectionState || (() => {});
+    this.handshakeTimeout = config.handshakeTimeout || 2000;
+    this.getDeviceKey = config.getDeviceKey || (async () => null);
+    // Android stacks commonly manage 7 simultaneous connections
+    this.maxDevices = config.maxDevices || 7;
+    this.writeOptions = {
+      window: config.writeWindow || 4,
+      rate: config.writeRate || 0,
+      maxQueue: config.writeQueueSize || 100,
+    };
+    // Round-trip probes to firmware that echoes them; an interval of 0 turns them off
+    this.probeOptions = {
+      interval: config.probeInterval ?? 1000,
+      timeout: config.probeTimeout || 5000,
+    };
+    this.reliableOptions = {
+      timeout: config.ackTimeout || 1000,
+      maxAttempts: config.ackAttempts || 5,
+    };
     
-    console.log('[BLE] Attempting to reconnect...');
+    this.links = new Map(); // deviceId -> DeviceLink, in the order they were added
     
-    try {
-      await this.connect(this.lastDeviceId);
-      this.isReconnecting = false;
-    } catch (error) {
-      console.error('[BLE] Reconnection failed:', error);
+    // Monitor BLE state changes
+    this.stateSubscription = this.manager.onStateChange((state) => {
+      console.log('[BLE] State changed to:', state);
+      if (state === 'PoweredOn') {
+        this.links.forEach(link => link.connection.retryNow());
+      }
+    }, true);
+  }
+  
+  async initialize() {
+    // Request permissions on Android
+    if (Platform.OS === 'android') {
+      const granted = await PermissionsAndroid.requestMultiple([
+        PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
+        PermissionsAndroid.PERMISSIONS.BLUETOOTH_SCAN,
+        PermissionsAndroid.PERMISSIONS.BLUETOOTH_CONNECT,
+      ]);
       
-      // Schedule another reconnection attempt
-      if (this.isReconnecting && this.reconnectAttempts < this.maxReconnectAttempts) {
-        this.reconnectAttempts++;
-        const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts), 30000);
-        setTimeout(() => this.reconnect(), delay);
-      } else {
-        this.isReconnecting = false;
-        this.lastDeviceId = null;
+      const allGranted = Object.values(granted).every(
+        res => res === PermissionsAndroid.RESULTS.GRANTED
+      );
+      
+      if (!allGranted) {
+        throw new Error('Bluetooth permissions are required');
+      }
+    }
+    
+    // Wait for BLE to be ready
+    const state = await this.manager.state();
+    if (state !== 'PoweredOn') {
+      await new Promise((resolve) => {
+        const sub = this.manager.onStateChange((state) => {
+          if (state === 'PoweredOn') {
+            sub.remove();
+            resolve();
+          }
+        }, true);
+      });
+    }
+  }
+  
+  // Only finds devices advertising our service by default. Every advertisement is
+  // reported, so RSSI stays live while scanning.
+  async startScan(onDeviceFound, serviceUUIDs = [this.serviceUuid]) {
+    return new Promise((resolve, reject) => {
+      this.manager.startDeviceScan(
+        serviceUUIDs,
+        { allowDuplicates: true },
+        (error, device) => {
+          if (error) {
+            this.onError(error);
+            reject(error);
+            return;
+          }
+          
+          // The name may only arrive in a later scan response
+          if (device) {
+            onDeviceFound({
+              id: device.id,
+              name: device.name || device.localName || null,
+              rssi: device.rssi,
+            });
+          }
+        }
+      );
+      resolve();
+    });
+  }
+  
+  stopScan() {
+    this.manager.stopDeviceScan();
+  }
+  
+  // Adds a device to the fan-out. Resolves once connected; failed attempts are
+  // retried with backoff until disconnect(deviceId) or the attempts run out.
+  // Throws straight away if the fan-out is full.
+  connect(deviceId, name = null) {
+    // Stop any ongoing scan
+    this.stopScan();
+    
+    let link = this.links.get(deviceId);
+    if (link?.device) {
+      return Promise.resolve(link.device);
+    }
+    
+    if (!link) {
+      if (this.links.size >= this.maxDevices) {
+        throw new Error(`At most ${this.maxDevices} devices can be connected at once`);
       }
+      link = new DeviceLink(this, deviceId, name);
+      this.links.set(deviceId, link);
     }
+    return link.connect();
   }
   
-  async cleanup() {
-    this.isReconnecting = false;
+  // Removes a device from the fan-out, cancelling any attempt or retry in progress
+  async disconnect(deviceId) {
+    const link = this.links.get(deviceId);
+    if (!link) return;
     
+    this.links.delete(deviceId);
+    await link.disconnect();
+  }
+  
+  async disconnectAll() {
+    await Promise.all([...this.links.keys()].map(deviceId => this.disconnect(deviceId)));
+  }
+  
+  getConnectedLink(deviceId) {
+    const link = this.links.get(deviceId);
+    if (!link?.device) {
+      throw new Error(`Device ${deviceId} is not connected`);
+    }
+    return link;
+  }
+  
+  // Paced through the device's write scheduler - see writeScheduler.js for the options.
+  // With { ack: true } the message also waits for the firmware's ACK and is resent
+  // until it arrives (reliableChannel.js), if the firmware sends ACKs.
+  write(deviceId, data, { ack = false, ...options } = {}) {
+    const link = this.getConnectedLink(deviceId);
+    if (ack && link.supportsAcks()) {
+      return link.reliable.send(data);
+    }
+    return link.scheduler.enqueue(data, options);
+  }
+  
+  // Applies to every device, now and later: { window, rate, maxQueue }
+  configureWrites(options) {
+    this.writeOptions = { ...this.writeOptions, ...options };
+    this.links.forEach(link => link.configureWrites());
+  }
+  
+  // Applies to every device: { interval, timeout }
+  configureProbes(options) {
+    this.probeOptions = { ...this.probeOptions, ...options };
+    this.links.forEach(link => {
+      if (link.isReady()) {
+        link.startProbing();
+      }
+    });
+  }
+  
+  // Writes straight away, bypassing the scheduler
+  sendData(deviceId, data) {
+    return this.getConnectedLink(deviceId).sendData(data);
+  }
+  
+  sendDataWithoutResponse(deviceId, data) {
+    return this.getConnectedLink(deviceId).sendDataWithoutResponse(data);
+  }
+  
+  async cleanup() {
     if (this.stateSubscription) {
       this.stateSubscription.remove();
     }
     
-    await this.disconnect();
+    await this.disconnectAll();
     this.manager.destroy();
   }
   
-  isConnected() {
-    return this.connectedDevice !== null;
+  // Every device in the fan-out, connected or not
+  getDevices() {
+    return [...this.links.values()].map(link => link.getStatus());
+  }
+  
+  getDeviceIds() {
+    return [...this.links.keys()];
+  }
+  
+  getConnectedDeviceIds() {
+    return [...this.links.values()].filter(link => link.isReady()).map(link => link.id);
+  }
+  
+  hasDevice(deviceId) {
+    return this.links.has(deviceId);
+  }
+  
+  getConnectionState(deviceId) {
+    return this.links.get(deviceId)?.connection.getState() ?? 'idle';
+  }
+  
+  isConnected(deviceId) {
+    return !!this.links.get(deviceId)?.device;
+  }
+  
+  getCapabilities(deviceId) {
+    return this.links.get(deviceId)?.capabilities ?? null;
+  }
+  
+  isSecure(deviceId) {
+    return !!this.links.get(deviceId)?.session;
+  }
+  
+  // Totals across every device with a secure session
+  getSecureStats() {
+    const sessions = [...this.links.values()].filter(link => link.session);
+    if (!sessions.length) return null;
+    
+    return sessions
+      .map(link => link.session.getStats())
+      .reduce((total, stats) => {
+        Object.entries(stats).forEach(([key, value]) => {
+          total[key] = (total[key] || 0) + value;
+        });
+        return total;
+      }, {});
+  }
+  
+  getMtu(deviceId) {
+    return this.links.get(deviceId)?.mtu ?? DEFAULT_MTU;
   }
   
-  getConnectedDevice() {
-    return this.connectedDevice;
+  getMaxWriteSize(deviceId) {
+    return Protocol.getMaxWriteSize(this.getMtu(deviceId));
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,262 @@
+// Minimal CBOR (RFC 8949) codec for the wire format
+// Covers what JSON can express plus byte strings: integers, floats, strings,
+// Uint8Array, arrays, string-keyed maps, booleans, null and undefined.
+// Floats are written as float32 when that's lossless, otherwise float64.
+
+const MAJOR_UNSIGNED = 0;
+const MAJOR_NEGATIVE = 1;
+const MAJOR_BYTES = 2;
+const MAJOR_TEXT = 3;
+const MAJOR_ARRAY = 4;
+const MAJOR_MAP = 5;
+const MAJOR_SIMPLE = 7;
+
+const SIMPLE_FALSE = 20;
+const SIMPLE_TRUE = 21;
+const SIMPLE_NULL = 22;
+const SIMPLE_UNDEFINED = 23;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function writeHead(out, major, length) {
+  const prefix = major << 5;
+  
+  if (length < 24) {
+    out.push(prefix | length);
+  } else if (length < 0x100) {
+    out.push(prefix | 24, length);
+  } else if (length < 0x10000) {
+    out.push(prefix | 25, length >> 8, length & 0xFF);
+  } else if (length < 0x100000000) {
+    out.push(prefix | 26, (length >>> 24) & 0xFF, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF);
+  } else {
+    // Split so values beyond 32 bits survive without BigInt
+    const high = Math.floor(length / 0x100000000);
+    const low = length >>> 0;
+    out.push(prefix | 27);
+    writeUint32(out, high);
+    writeUint32(out, low);
+  }
+}
+
+function writeUint32(out, value) {
+  out.push((value >>> 24) & 0xFF, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF);
+}
+
+function writeFloat(out, value) {
+  const scratch = new DataView(new ArrayBuffer(8));
+  
+  if (Math.fround(value) === value || Number.isNaN(value)) {
+    scratch.setFloat32(0, value);
+    out.push((MAJOR_SIMPLE << 5) | 26);
+    for (let i = 0; i < 4; i++) out.push(scratch.getUint8(i));
+  } else {
+    scratch.setFloat64(0, value);
+    out.push((MAJOR_SIMPLE << 5) | 27);
+    for (let i = 0; i < 8; i++) out.push(scratch.getUint8(i));
+  }
+}
+
+function writeValue(out, value) {
+  if (value === null) {
+    out.push((MAJOR_SIMPLE << 5) | SIMPLE_NULL);
+  } else if (value === undefined) {
+    out.push((MAJOR_SIMPLE << 5) | SIMPLE_UNDEFINED);
+  } else if (typeof value === 'boolean') {
+    out.push((MAJOR_SIMPLE << 5) | (value ? SIMPLE_TRUE : SIMPLE_FALSE));
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      value >= 0
+        ? writeHead(out, MAJOR_UNSIGNED, value)
+        : writeHead(out, MAJOR_NEGATIVE, -1 - value);
+    } else {
+      writeFloat(out, value);
+    }
+  } else if (typeof value === 'string') {
+    const bytes = textEncoder.encode(value);
+    writeHead(out, MAJOR_TEXT, bytes.length);
+    for (let i = 0; i < bytes.length; i++) out.push(bytes[i]);
+  } else if (value instanceof Uint8Array) {
+    writeHead(out, MAJOR_BYTES, value.length);
+    for (let i = 0; i < value.length; i++) out.push(value[i]);
+  } else if (Array.isArray(value)) {
+    writeHead(out, MAJOR_ARRAY, value.length);
+    value.forEach(item => writeValue(out, item));
+  } else if (typeof value === 'object') {
+    // Like JSON.stringify, honour toJSON and skip undefined members
+    if (typeof value.toJSON === 'function') {
+      writeValue(out, value.toJSON());
+      return;
+    }
+    
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    writeHead(out, MAJOR_MAP, entries.length);
+    for (const [key, item] of entries) {
+      writeValue(out, key);
+      writeValue(out, item);
+    }
+  } else {
+    throw new Error(`Cannot encode ${typeof value} as CBOR`);
+  }
+}
+
+export function encodeCbor(value) {
+  const out = [];
+  writeValue(out, value);
+  return new Uint8Array(out);
+}
+
+// IEEE 754 half precision - firmware may send these for small floats
+function decodeHalf(half) {
+  const exponent = (half >> 10) & 0x1F;
+  const mantissa = half & 0x3FF;
+  const sign = half & 0x8000 ? -1 : 1;
+  
+  if (exponent === 0) {
+    return sign * Math.pow(2, -14) * (mantissa / 1024);
+  }
+  if (exponent === 0x1F) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+  return sign * Math.pow(2, exponent - 15) * (1 + mantissa / 1024);
+}
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+  
+  need(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('CBOR data truncated');
+    }
+  }
+  
+  readUint8() {
+    this.need(1);
+    return this.bytes[this.offset++];
+  }
+  
+  readLength(info) {
+    if (info < 24) return info;
+    
+    let value;
+    switch (info) {
+      case 24:
+        return this.readUint8();
+      case 25:
+        this.need(2);
+        value = this.view.getUint16(this.offset);
+        this.offset += 2;
+        return value;
+      case 26:
+        this.need(4);
+        value = this.view.getUint32(this.offset);
+        this.offset += 4;
+        return value;
+      case 27:
+        this.need(8);
+        value = this.view.getUint32(this.offset) * 0x100000000 + this.view.getUint32(this.offset + 4);
+        this.offset += 8;
+        return value;
+      default:
+        throw new Error(`Unsupported CBOR length encoding ${info}`);
+    }
+  }
+  
+  readBytes(length) {
+    this.need(length);
+    const bytes = this.bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+  
+  readValue() {
+    const initial = this.readUint8();
+    const major = initial >> 5;
+    const info = initial & 0x1F;
+    
+    switch (major) {
+      case MAJOR_UNSIGNED:
+        return this.readLength(info);
+      case MAJOR_NEGATIVE:
+        return -1 - this.readLength(info);
+      case MAJOR_BYTES:
+        return this.readBytes(this.readLength(info));
+      case MAJOR_TEXT:
+        return textDecoder.decode(this.readBytes(this.readLength(info)));
+      case MAJOR_ARRAY: {
+        const length = this.readLength(info);
+        const items = [];
+        for (let i = 0; i < length; i++) items.push(this.readValue());
+        return items;
+      }
+      case MAJOR_MAP: {
+        const length = this.readLength(info);
+        const map = {};
+        for (let i = 0; i < length; i++) {
+          const key = this.readValue();
+          // Defined rather than assigned, so a "__proto__" key from the device stays
+          // a plain key instead of replacing the map's prototype
+          Object.defineProperty(map, key, {
+            value: this.readValue(),
+            enumerable: true,
+            writable: true,
+            configurable: true,
+          });
+        }
+        return map;
+      }
+      case MAJOR_SIMPLE:
+        return this.readSimple(info);
+      default:
+        // Tags (major 6) aren't used on our wire
+        throw new Error(`Unsupported CBOR major type ${major}`);
+    }
+  }
+  
+  readSimple(info) {
+    let value;
+    switch (info) {
+      case SIMPLE_FALSE:
+        return false;
+      case SIMPLE_TRUE:
+        return true;
+      case SIMPLE_NULL:
+        return null;
+      case SIMPLE_UNDEFINED:
+        return undefined;
+      case 25:
+        this.need(2);
+        value = decodeHalf(this.view.getUint16(this.offset));
+        this.offset += 2;
+        return value;
+      case 26:
+        this.need(4);
+        value = this.view.getFloat32(this.offset);
+        this.offset += 4;
+        return value;
+      case 27:
+        this.need(8);
+        value = this.view.getFloat64(this.offset);
+        this.offset += 8;
+        return value;
+      default:
+        throw new Error(`Unsupported CBOR simple value ${info}`);
+    }
+  }
+}
+
+// Decodes exactly one CBOR item - trailing bytes mean a corrupt message
+export function decodeCbor(bytes) {
+  const reader = new Reader(bytes);
+  const value = reader.readValue();
+  
+  if (reader.offset !== bytes.length) {
+    throw new Error(`${bytes.length - reader.offset} unexpected bytes after CBOR item`);
+  }
+  return value;
+}
@@ -0,0 +1,181 @@
+// Pure-JS ChaCha20-Poly1305 AEAD (RFC 8439) and HChaCha20 key derivation
+// Small and dependency free so it runs the same under Hermes and in Node tests.
+// Poly1305 uses BigInt - fine for BLE-sized messages at our message rates.
+
+const KEY_SIZE = 32;
+const NONCE_SIZE = 12;
+const TAG_SIZE = 16;
+
+// "expand 32-byte k"
+const SIGMA = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+function rotl(v, n) {
+  return (v << n) | (v >>> (32 - n));
+}
+
+function quarterRound(s, a, b, c, d) {
+  s[a] = (s[a] + s[b]) | 0; s[d] = rotl(s[d] ^ s[a], 16);
+  s[c] = (s[c] + s[d]) | 0; s[b] = rotl(s[b] ^ s[c], 12);
+  s[a] = (s[a] + s[b]) | 0; s[d] = rotl(s[d] ^ s[a], 8);
+  s[c] = (s[c] + s[d]) | 0; s[b] = rotl(s[b] ^ s[c], 7);
+}
+
+function doubleRounds(s) {
+  for (let i = 0; i < 10; i++) {
+    quarterRound(s, 0, 4, 8, 12);
+    quarterRound(s, 1, 5, 9, 13);
+    quarterRound(s, 2, 6, 10, 14);
+    quarterRound(s, 3, 7, 11, 15);
+    quarterRound(s, 0, 5, 10, 15);
+    quarterRound(s, 1, 6, 11, 12);
+    quarterRound(s, 2, 7, 8, 13);
+    quarterRound(s, 3, 4, 9, 14);
+  }
+}
+
+function readWords(bytes, count) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const words = [];
+  for (let i = 0; i < count; i++) {
+    words.push(view.getUint32(i * 4, true));
+  }
+  return words;
+}
+
+function initialState(key, counter, nonce) {
+  return new Uint32Array([...SIGMA, ...readWords(key, 8), counter, ...readWords(nonce, 3)]);
+}
+
+function chachaBlock(key, counter, nonce) {
+  const state = initialState(key, counter, nonce);
+  const working = state.slice();
+  doubleRounds(working);
+  
+  const out = new Uint8Array(64);
+  const view = new DataView(out.buffer);
+  for (let i = 0; i < 16; i++) {
+    view.setUint32(i * 4, (working[i] + state[i]) >>> 0, true);
+  }
+  return out;
+}
+
+function chacha20(key, counter, nonce, input) {
+  const output = new Uint8Array(input.length);
+  
+  for (let offset = 0; offset < input.length; offset += 64) {
+    const block = chachaBlock(key, counter++, nonce);
+    const end = Math.min(64, input.length - offset);
+    for (let i = 0; i < end; i++) {
+      output[offset + i] = input[offset + i] ^ block[i];
+    }
+  }
+  return output;
+}
+
+// HChaCha20 - derives a fresh 256-bit key from a key and a 16-byte input
+export function hchacha20(key, input) {
+  const state = new Uint32Array([...SIGMA, ...readWords(key, 8), ...readWords(input, 4)]);
+  doubleRounds(state);
+  
+  const out = new Uint8Array(KEY_SIZE);
+  const view = new DataView(out.buffer);
+  [0, 1, 2, 3, 12, 13, 14, 15].forEach((word, i) => view.setUint32(i * 4, state[word], true));
+  return out;
+}
+
+function bytesToBigInt(bytes) {
+  let value = 0n;
+  for (let i = bytes.length - 1; i >= 0; i--) {
+    value = (value << 8n) | BigInt(bytes[i]);
+  }
+  return value;
+}
+
+const P1305 = (1n << 130n) - 5n;
+const CLAMP = 0x0ffffffc0ffffffc0ffffffc0fffffffn;
+
+function poly1305(key, message) {
+  const r = bytesToBigInt(key.subarray(0, 16)) & CLAMP;
+  const s = bytesToBigInt(key.subarray(16, 32));
+  let acc = 0n;
+  
+  for (let offset = 0; offset < message.length; offset += 16) {
+    const chunk = message.subarray(offset, offset + 16);
+    const n = bytesToBigInt(chunk) | (1n << BigInt(chunk.length * 8));
+    acc = ((acc + n) * r) % P1305;
+  }
+  
+  acc = (acc + s) & ((1n << 128n) - 1n);
+  
+  const tag = new Uint8Array(TAG_SIZE);
+  for (let i = 0; i < TAG_SIZE; i++) {
+    tag[i] = Number(acc & 0xffn);
+    acc >>= 8n;
+  }
+  return tag;
+}
+
+function pad16(length) {
+  return (16 - (length % 16)) % 16;
+}
+
+function computeTag(key, nonce, aad, ciphertext) {
+  const otk = chachaBlock(key, 0, nonce).subarray(0, 32);
+  
+  const macData = new Uint8Array(
+    aad.length + pad16(aad.length) + ciphertext.length + pad16(ciphertext.length) + 16
+  );
+  macData.set(aad, 0);
+  const ciphertextOffset = aad.length + pad16(aad.length);
+  macData.set(ciphertext, ciphertextOffset);
+  
+  const view = new DataView(macData.buffer);
+  const lengthsOffset = ciphertextOffset + ciphertext.length + pad16(ciphertext.length);
+  view.setUint32(lengthsOffset, aad.length, true);
+  view.setUint32(lengthsOffset + 8, ciphertext.length, true);
+  
+  return poly1305(otk, macData);
+}
+
+function checkSizes(key, nonce) {
+  if (key.length !== KEY_SIZE) {
+    throw new Error(`Key must be ${KEY_SIZE} bytes`);
+  }
+  if (nonce.length !== NONCE_SIZE) {
+    throw new Error(`Nonce must be ${NONCE_SIZE} bytes`);
+  }
+}
+
+// Returns ciphertext with the 16-byte tag appended
+export function seal(key, nonce, plaintext, aad = new Uint8Array(0)) {
+  checkSizes(key, nonce);
+  
+  const ciphertext = chacha20(key, 1, nonce, plaintext);
+  const tag = computeTag(key, nonce, aad, ciphertext);
+  
+  const out = new Uint8Array(ciphertext.length + TAG_SIZE);
+  out.set(ciphertext, 0);
+  out.set(tag, ciphertext.length);
+  return out;
+}
+
+// Returns the plaintext, or null if the tag doesn't verify
+export function open(key, nonce, sealed, aad = new Uint8Array(0)) {
+  checkSizes(key, nonce);
+  if (sealed.length < TAG_SIZE) return null;
+  
+  const ciphertext = sealed.subarray(0, sealed.length - TAG_SIZE);
+  const tag = sealed.subarray(sealed.length - TAG_SIZE);
+  const expected = computeTag(key, nonce, aad, ciphertext);
+  
+  // Constant-time compare
+  let diff = 0;
+  for (let i = 0; i < TAG_SIZE; i++) {
+    diff |= tag[i] ^ expected[i];
+  }
+  if (diff !== 0) return null;
+  
+  return chacha20(key, 1, nonce, ciphertext);
+}
+
+export { KEY_SIZE, NONCE_SIZE, TAG_SIZE };
@@ -0,0 +1,219 @@
+// connectionMachine.js
+// Connection lifecycle shared by the BLE and stream clients:
+//
+//   idle -> connecting -> connected
+//              |   ^          |
+//              v   |          | (connection lost)
+//   failed <- backoff <-------+
+//
+// Each attempt gets an AbortSignal. stop() aborts the attempt in flight and cancels any
+// pending retry, so nothing reconnects behind the user's back after they disconnect.
+// Every transition is reported as { type, from, attempt, delay, error }, where type is
+// the new state.
+
+export const CONNECTION_STATES = ['idle', 'connecting', 'connected', 'backoff', 'failed'];
+
+export class ConnectionMachine {
+  constructor(config = {}) {
+    this.name = config.name || 'Connection';
+    this.attemptFn = config.attempt;           // async (signal, { attempt, retry }) => result
+    this.onTransition = config.onTransition || (() => {});
+    this.shouldRetry = config.shouldRetry || (() => true);
+    this.random = config.random || Math.random;
+    this.configure(config);
+    
+    this.state = 'idle';
+    this.attempt = 0;
+    this.failures = 0; // In a row - drives the backoff
+    this.lastError = null;
+    this.controller = null;
+    this.backoffTimer = null;
+    this.attemptTimer = null;
+    this.waiters = [];
+  }
+  
+  configure({
+    baseDelay = 1000,
+    maxDelay = 30000,
+    maxAttempts = Infinity,
+    jitter = 0.5,           // Fraction of each delay that is randomised
+    attemptTimeout = null,  // Abort attempts that hang longer than this (ms)
+    autoReconnect = true,   // Retry after an established connection drops
+    delay = null,           // (failures) => ms, replaces the exponential schedule
+  } = {}) {
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.maxAttempts = maxAttempts;
+    this.jitter = jitter;
+    this.attemptTimeout = attemptTimeout;
+    this.autoReconnect = autoReconnect;
+    this.delayFn = delay;
+  }
+  
+  // Starts connecting from scratch, abandoning whatever was in progress.
+  // Resolves with the attempt's result once connected, rejects if it fails or is stopped.
+  start() {
+    this.cancelPending();
+    this.attempt = 0;
+    this.failures = 0;
+    this.lastError = null;
+    
+    const settled = new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+    });
+    this.runAttempt();
+    return settled;
+  }
+  
+  // Cancels the attempt in flight and any scheduled retry
+  stop() {
+    this.cancelPending();
+    if (this.state !== 'idle') {
+      this.transition('idle');
+    }
+    this.settle(null, new Error(`${this.name} connection cancelled`));
+  }
+  
+  // An established connection dropped - retry unless auto-reconnect is off
+  connectionLost(error = null) {
+    if (this.state !== 'connected') return;
+    
+    this.lastError = error;
+    this.attempt = 0;
+    this.failures = 1;
+    if (this.autoReconnect) {
+      this.scheduleRetry(error);
+    } else {
+      this.transition('idle', { error });
+    }
+  }
+  
+  // Skips the rest of the backoff wait, e.g. when the radio comes back on
+  retryNow() {
+    if (this.state !== 'backoff') return;
+    
+    clearTimeout(this.backoffTimer);
+    this.backoffTimer = null;
+    this.runAttempt();
+  }
+  
+  async runAttempt() {
+    const retry = this.state === 'backoff';
+    this.attempt++;
+    const controller = new AbortController();
+    this.controller = controller;
+    this.transition('connecting');
+    
+    if (this.attemptTimeout) {
+      this.attemptTimer = setTimeout(() => {
+        this.attemptTimer = null;
+        controller.abort();
+        this.handleFailure(controller, new Error(`${this.name} attempt timed out after ${this.attemptTimeout}ms`));
+      }, this.attemptTimeout);
+    }
+    
+    try {
+      const result = await this.attemptFn(controller.signal, { attempt: this.attempt, retry });
+      
+      // Stopped, timed out or superseded while the attempt was running
+      if (controller !== this.controller || controller.signal.aborted) return;
+      
+      this.clearAttempt();
+      this.attempt = 0;
+      this.failures = 0;
+      this.lastError = null;
+      this.transition('connected');
+      this.settle(result, null);
+    } catch (error) {
+      this.handleFailure(controller, error);
+    }
+  }
+  
+  handleFailure(controller, error) {
+    if (controller !== this.controller) return;
+    this.clearAttempt();
+    this.failures++;
+    this.lastError = error;
+    
+    if (!this.shouldRetry(error) || this.attempt >= this.maxAttempts) {
+      console.error(`[${this.name}] Giving up after ${this.attempt} attempts:`, error?.message);
+      this.transition('failed', { error });
+      this.settle(null, error);
+      return;
+    }
+    this.scheduleRetry(error);
+  }
+  
+  scheduleRetry(error) {
+    const delay = this.getDelay(this.failures);
+    console.log(`[${this.name}] Retrying in ${delay}ms (attempt ${this.attempt + 1})`);
+    
+    this.transition('backoff', { delay, error });
+    this.backoffTimer = setTimeout(() => {
+      this.backoffTimer = null;
+      this.runAttempt();
+    }, delay);
+  }
+  
+  // Exponential delay with jitter, so devices and clients that dropped together
+  // don't all retry in the same instant
+  getDelay(failures) {
+    const exact = this.delayFn
+      ? this.delayFn(failures)
+      : Math.min(this.baseDelay * Math.pow(2, Math.max(0, failures - 1)), this.maxDelay);
+    return Math.round(exact * (1 - this.jitter * this.random()));
+  }
+  
+  clearAttempt() {
+    if (this.attemptTimer) {
+      clearTimeout(this.attemptTimer);
+      this.attemptTimer = null;
+    }
+    this.controller = null;
+  }
+  
+  cancelPending() {
+    if (this.backoffTimer) {
+      clearTimeout(this.backoffTimer);
+      this.backoffTimer = null;
+    }
+    
+    const controller = this.controller;
+    this.clearAttempt();
+    controller?.abort();
+  }
+  
+  settle(result, error) {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(result)));
+  }
+  
+  transition(to, { delay = null, error = null } = {}) {
+    const from = this.state;
+    this.state = to;
+    
+    const event = { type: to, from, attempt: this.attempt, delay, error };
+    try {
+      this.onTransition(event);
+    } catch (listenerError) {
+      console.error(`[${this.name}] Transition listener failed:`, listenerError);
+    }
+  }
+  
+  getState() {
+    return this.state;
+  }
+  
+  isActive() {
+    return this.state !== 'idle' && this.state !== 'failed';
+  }
+  
+  getStatus() {
+    return {
+      state: this.state,
+      attempt: this.attempt,
+      lastError: this.lastError?.message ?? null,
+    };
+  }
+}
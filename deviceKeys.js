@@ -0,0 +1,30 @@
+// deviceKeys.js
+import * as SecureStore from 'expo-secure-store';
+import { SecureSession } from './secureSession';
+
+// Reconnecting in the background has to work while the phone is locked
+const STORE_OPTIONS = {
+  keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+};
+
+/**
+ * Pre-shared keys for secure sessions, stored per device id as hex strings in the
+ * platform keystore (iOS Keychain, Android Keystore).
+ */
+// Keystore entry names only allow letters, digits, ".", "-" and "_", and Android
+// device ids are MAC addresses
+const entryName = deviceId => `deviceKey.${deviceId.replace(/[^A-Za-z0-9._-]/g, '_')}`;
+
+export async function getDeviceKey(deviceId) {
+  return (await SecureStore.getItemAsync(entryName(deviceId), STORE_OPTIONS)) || null;
+}
+
+export async function setDeviceKey(deviceId, hex) {
+  // Throws on anything that isn't a 32-byte hex key
+  SecureSession.parseKey(hex);
+  await SecureStore.setItemAsync(entryName(deviceId), hex.trim().toLowerCase(), STORE_OPTIONS);
+}
+
+export async function forgetDeviceKey(deviceId) {
+  await SecureStore.deleteItemAsync(entryName(deviceId), STORE_OPTIONS);
+}
@@ -0,0 +1,93 @@
+// deviceRouter.js
+// Decides which devices each message fans out to, so one phone can drive several
+// tablets with different jobs.
+//
+// {
+//   "routes": [
+//     { "kinds": ["position"], "devices": "all" },
+//     { "kinds": ["score", "clock"], "devices": ["Scoreboard", "AA:BB:CC:DD:EE:FF"] }
+//   ],
+//   "unrouted": "all"                               // or "none"
+// }
+//
+// A message's kind is its "type". It goes to every device named by a route listing
+// its kind; a route without "kinds" matches everything. Messages no route matches
+// (including binary passthrough frames, which have no kind) follow "unrouted".
+// Devices are named by id or by advertised name.
+
+export const kindOf = message =>
+  message !== null && typeof message === 'object' && !(message instanceof ArrayBuffer)
+    ? message.type ?? null
+    : null;
+
+function compileDevices(devices) {
+  if (devices === 'all') {
+    return () => true;
+  }
+  if (!Array.isArray(devices) || !devices.length || devices.some(d => typeof d !== 'string')) {
+    throw new Error('"devices" must be "all" or a list of device ids or names');
+  }
+  
+  const names = new Set(devices);
+  return device => names.has(device.id) || names.has(device.name);
+}
+
+function compileRoute(route) {
+  if (!route || typeof route !== 'object' || Array.isArray(route)) {
+    throw new Error('must be an object');
+  }
+  if (route.kinds !== undefined && (!Array.isArray(route.kinds) || !route.kinds.length)) {
+    throw new Error('"kinds" must be a non-empty list of message types');
+  }
+  
+  const kinds = route.kinds ? new Set(route.kinds) : null;
+  return {
+    matches: kind => kinds === null || kinds.has(kind),
+    includes: compileDevices(route.devices),
+  };
+}
+
+// Returns a function picking the devices (from those given as { id, name }) a
+// message goes to. Throws on invalid routing so it can be reported before anything
+// streams.
+export function compileRoutes(config) {
+  let routing = config;
+  if (typeof config === 'string') {
+    try {
+      routing = JSON.parse(config);
+    } catch (error) {
+      throw new Error(`Routing is not valid JSON: ${error.message}`);
+    }
+  }
+  
+  if (!routing || typeof routing !== 'object' || Array.isArray(routing)) {
+    throw new Error('Routing must be a JSON object');
+  }
+  
+  const unrouted = routing.unrouted ?? 'all';
+  if (!['all', 'none'].includes(unrouted)) {
+    throw new Error(`"unrouted" must be "all" or "none", got ${unrouted}`);
+  }
+  
+  if (!Array.isArray(routing.routes)) {
+    throw new Error('"routes" must be a list');
+  }
+  
+  const routes = routing.routes.map((route, i) => {
+    try {
+      return compileRoute(route);
+    } catch (error) {
+      throw new Error(`Route ${i + 1}: ${error.message}`);
+    }
+  });
+  
+  return (message, devices) => {
+    const kind = kindOf(message);
+    const matching = routes.filter(route => route.matches(kind));
+    
+    if (!matching.length) {
+      return unrouted === 'all' ? devices : [];
+    }
+    return devices.filter(device => matching.some(route => route.includes(device)));
+  };
+}
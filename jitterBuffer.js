@@ -0,0 +1,194 @@
+// jitterBuffer.js
+// Re-times bursty stream messages to a steady playout rate using their source timestamps.
+// Playout runs targetDelay behind the source clock. Coordinate samples are sampled at the
+// output rate (latest due sample, or interpolated between neighbours); other messages are
+// delivered in order once due, so events are never skipped.
+
+const isCoordinates = message =>
+  message !== null && typeof message === 'object' &&
+  typeof message.x === 'number' && typeof message.y === 'number';
+
+const lerp = (a, b, f) => a + (b - a) * f;
+
+export class JitterBuffer {
+  constructor(config = {}) {
+    this.onOutput = config.onOutput || (() => {});
+    
+    this.buffer = []; // { time, message }, sorted by source time
+    this.timer = null;
+    this.configure(config);
+    this.reset();
+  }
+  
+  configure({
+    outputRate = 20,         // Playout ticks per second
+    targetDelay = 150,       // How far behind the source clock playout runs (ms)
+    maxDepth = 200,          // Oldest messages are dropped beyond this
+    interpolate = false,     // Blend coordinates between samples
+    resyncThreshold = 5000,  // Clock jumps beyond this re-anchor playout (ms)
+  } = {}) {
+    const restart = this.timer && outputRate !== this.outputRate;
+    
+    this.outputRate = outputRate;
+    this.targetDelay = targetDelay;
+    this.maxDepth = maxDepth;
+    this.interpolate = interpolate;
+    this.resyncThreshold = resyncThreshold;
+    
+    if (restart) {
+      this.stopTimer();
+      this.start();
+    }
+  }
+  
+  reset() {
+    this.buffer = [];
+    this.clockOffset = null; // local time - source time, smallest seen
+    this.lastPlayedTime = -Infinity;
+    this.lastOutput = null;
+    this.stats = {
+      received: 0,
+      played: 0,
+      interpolated: 0,
+      lateDropped: 0,
+      overflowDropped: 0,
+      underruns: 0,
+      resyncs: 0,
+    };
+  }
+  
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), 1000 / this.outputRate);
+  }
+  
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+  
+  // Stops playout and delivers anything still buffered so no events are lost
+  stop() {
+    this.stopTimer();
+    
+    const pending = this.buffer;
+    this.buffer = [];
+    pending.forEach(({ message }) => this.onOutput(message));
+    
+    this.clockOffset = null;
+    this.lastPlayedTime = -Infinity;
+    this.lastOutput = null;
+  }
+  
+  isRunning() {
+    return !!this.timer;
+  }
+  
+  push(message, sourceTime) {
+    this.stats.received++;
+    
+    // Nothing to re-time against - deliver straight away
+    if (!Number.isFinite(sourceTime)) {
+      this.onOutput(message);
+      return;
+    }
+    
+    this.syncClock(sourceTime);
+    
+    if (sourceTime <= this.lastPlayedTime) {
+      // Playout has moved past this sample. Stale coordinates would make the device
+      // jump backwards, but events still matter late.
+      if (isCoordinates(message)) {
+        this.stats.lateDropped++;
+      } else {
+        this.onOutput(message);
+      }
+      return;
+    }
+    
+    // Insert in source order - the network can reorder across reconnects
+    let index = this.buffer.length;
+    while (index > 0 && this.buffer[index - 1].time > sourceTime) {
+      index--;
+    }
+    this.buffer.splice(index, 0, { time: sourceTime, message });
+    
+    if (this.buffer.length > this.maxDepth) {
+      this.buffer.shift();
+      this.stats.overflowDropped++;
+    }
+  }
+  
+  // The smallest local-minus-source offset is the fastest transit seen, so it
+  // tracks the source clock without absorbing network delay
+  syncClock(sourceTime) {
+    const offset = Date.now() - sourceTime;
+    
+    if (this.clockOffset === null || Math.abs(offset - this.clockOffset) > this.resyncThreshold) {
+      if (this.clockOffset !== null) {
+        console.warn('[Jitter] Source clock jumped, resyncing playout');
+        this.stats.resyncs++;
+        this.lastPlayedTime = -Infinity;
+      }
+      this.clockOffset = offset;
+    } else if (offset < this.clockOffset) {
+      this.clockOffset = offset;
+    }
+  }
+  
+  tick() {
+    if (this.clockOffset === null) return;
+    
+    const playoutTime = Date.now() - this.clockOffset - this.targetDelay;
+    
+    // Everything due this tick, in source order
+    let latest = null;
+    while (this.buffer.length && this.buffer[0].time <= playoutTime) {
+      const entry = this.buffer.shift();
+      if (isCoordinates(entry.message)) {
+        latest = entry;
+      } else {
+        this.onOutput(entry.message);
+        this.stats.played++;
+      }
+    }
+    
+    const next = this.buffer.find(entry => isCoordinates(entry.message));
+    
+    if (this.interpolate && (latest || this.lastOutput) && next) {
+      const from = latest || this.lastOutput;
+      const f = (playoutTime - from.time) / (next.time - from.time);
+      this.emitCoordinates({
+        ...from.message,
+        x: lerp(from.message.x, next.message.x, f),
+        y: lerp(from.message.y, next.message.y, f),
+        z: lerp(from.message.z ?? 0, next.message.z ?? 0, f),
+      }, latest);
+      this.stats.interpolated++;
+    } else if (latest) {
+      this.emitCoordinates(latest.message, latest);
+    } else if (this.lastOutput && !next) {
+      // Playout caught up with everything received - the device holds its last position
+      this.stats.underruns++;
+    }
+    
+    this.lastPlayedTime = Math.max(this.lastPlayedTime, playoutTime);
+  }
+  
+  emitCoordinates(message, latest) {
+    if (latest) {
+      this.lastOutput = latest;
+    }
+    this.onOutput(message);
+    this.stats.played++;
+  }
+  
+  getStats() {
+    return {
+      ...this.stats,
+      depth: this.buffer.length,
+    };
+  }
+}
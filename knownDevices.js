@@ -0,0 +1,87 @@
+// knownDevices.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY = 'knownDevices';
+
+/**
+ * Devices connected to before, so they can be found again on launch. Stored as
+ * { devices: { [id]: { id, name, lastSeen, protocol } }, preferred: id }, where name
+ * is the friendly name (the advertised one until renamed) and protocol the wire format
+ * to prefer for the device, or null to follow the Wire Format setting.
+ */
+async function loadStore() {
+  const saved = await AsyncStorage.getItem(STORAGE_KEY);
+  return saved ? JSON.parse(saved) : { devices: {}, preferred: null };
+}
+
+// Updates run one at a time, so a scan finishing while a device connects can't
+// overwrite one with the other
+let updates = Promise.resolve();
+
+function update(change) {
+  const run = updates.then(async () => {
+    const store = await loadStore();
+    change(store);
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  });
+  updates = run.catch(() => {});
+  return run;
+}
+
+// Most recently seen first, each flagged if it's the one to auto-connect to
+export async function loadKnownDevices() {
+  await updates;
+  const { devices, preferred } = await loadStore();
+  return Object.values(devices)
+    .map(device => ({ ...device, preferred: device.id === preferred }))
+    .sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+// Keeps the friendly name and protocol of a device already known
+export function rememberDevice({ id, name }, { preferred = false } = {}) {
+  return update(store => {
+    const known = store.devices[id];
+    store.devices[id] = {
+      id,
+      name: known?.name || name || null,
+      lastSeen: Date.now(),
+      protocol: known?.protocol ?? null,
+    };
+    if (preferred) {
+      store.preferred = id;
+    }
+  });
+}
+
+// Devices that aren't known are ignored
+export function markSeen(ids) {
+  return update(store => {
+    const now = Date.now();
+    ids.filter(id => store.devices[id]).forEach(id => {
+      store.devices[id].lastSeen = now;
+    });
+  });
+}
+
+export function updateKnownDevice(id, { name, protocol }) {
+  return update(store => {
+    const known = store.devices[id];
+    if (!known) {
+      throw new Error('Device is not remembered');
+    }
+    store.devices[id] = {
+      ...known,
+      name: name?.trim() || known.name,
+      protocol: protocol === undefined ? known.protocol : protocol,
+    };
+  });
+}
+
+export function forgetDevice(id) {
+  return update(store => {
+    delete store.devices[id];
+    if (store.preferred === id) {
+      store.preferred = null;
+    }
+  });
+}
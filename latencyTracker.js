@@ -0,0 +1,84 @@
+// latencyTracker.js
+// Round-trip statistics from echoed latency probes, over a sliding window of the most
+// recent samples. When the firmware reports its own clock in the echo, one-way delays
+// are estimated too - otherwise each direction is taken as half the round trip.
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export class LatencyTracker {
+  constructor({ windowSize = 100 } = {}) {
+    this.windowSize = windowSize;
+    this.reset();
+  }
+  
+  reset() {
+    this.samples = []; // { sentAt, receivedAt, rtt, deviceTime }, oldest first
+    this.jitter = 0;
+    this.lastRtt = null;
+    this.received = 0;
+    this.lost = 0;
+  }
+  
+  // sentAt and receivedAt are local times; deviceTime is the device clock (ms) when it
+  // handled the probe, or null
+  record({ sentAt, receivedAt, deviceTime = null }) {
+    const rtt = receivedAt - sentAt;
+    
+    // RFC 3550 interarrival jitter - a smoothed difference between consecutive samples
+    if (this.lastRtt !== null) {
+      this.jitter += (Math.abs(rtt - this.lastRtt) - this.jitter) / 16;
+    }
+    this.lastRtt = rtt;
+    
+    this.samples.push({ sentAt, receivedAt, rtt, deviceTime: Number.isFinite(deviceTime) ? deviceTime : null });
+    if (this.samples.length > this.windowSize) {
+      this.samples.shift();
+    }
+    this.received++;
+  }
+  
+  recordLoss() {
+    this.lost++;
+  }
+  
+  // The clocks' offset is taken from the fastest round trip in the window, where the
+  // two directions are most likely to be equal (as in NTP). Only using the window
+  // keeps device clock drift from building up.
+  estimateOneWay(samples) {
+    const timed = samples.filter(sample => sample.deviceTime !== null);
+    if (!timed.length) {
+      const half = mean(samples.map(sample => sample.rtt)) / 2;
+      return { uplink: half, downlink: half, deviceClock: false };
+    }
+    
+    const fastest = timed.reduce((best, sample) => (sample.rtt < best.rtt ? sample : best));
+    const offset = fastest.deviceTime - (fastest.sentAt + fastest.rtt / 2);
+    return {
+      uplink: mean(timed.map(sample => sample.deviceTime - offset - sample.sentAt)),
+      downlink: mean(timed.map(sample => sample.receivedAt - (sample.deviceTime - offset))),
+      deviceClock: true,
+    };
+  }
+  
+  getStats() {
+    if (!this.samples.length) {
+      return { samples: 0, received: this.received, lost: this.lost };
+    }
+    
+    const sorted = this.samples.map(sample => sample.rtt).sort((a, b) => a - b);
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+    
+    return {
+      samples: sorted.length,
+      received: this.received,
+      lost: this.lost,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      p50: percentile(50),
+      p95: percentile(95),
+      p99: percentile(99),
+      jitter: this.jitter,
+      ...this.estimateOneWay(this.samples),
+    };
+  }
+}
@@ -0,0 +1,200 @@
+// messageMapper.js
+// Declarative mapping from upstream messages to the shape the device expects,
+// so feeds using ball.pos[0] or lat/lon still reach the compact binary types.
+//
+// {
+//   "rules": [{
+//     "match": { "type": "position" },              // path -> value, or list of values
+//     "fields": {
+//       "x": { "path": "ball.pos[0]", "scale": 100 },
+//       "y": "ball.pos[1]"
+//     },
+//     "keep": false,                                // start from a copy of the message
+//                                                   // (otherwise only fields and "type")
+//     "drop": ["debug"]                             // paths removed from the result
+//   }],
+//   "unmatched": "drop"                             // or "pass"
+// }
+//
+// A single rule can be given without the "rules" wrapper.
+
+const PATH_PATTERN = /^[^.[\]]+(\.[^.[\]]+|\[\d+\])*$/;
+
+export function parsePath(path) {
+  if (typeof path !== 'string' || !PATH_PATTERN.test(path)) {
+    throw new Error(`Invalid path "${path}" (use a.b.c or a.b[0])`);
+  }
+  
+  const segments = [];
+  for (const [, key, index] of path.matchAll(/([^.[\]]+)|\[(\d+)\]/g)) {
+    segments.push(index !== undefined ? Number(index) : key);
+  }
+  return segments;
+}
+
+export function getPath(value, segments) {
+  let current = value;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+function setPath(target, segments, value) {
+  let current = target;
+  segments.forEach((segment, i) => {
+    if (i === segments.length - 1) {
+      current[segment] = value;
+      return;
+    }
+    if (current[segment] === null || typeof current[segment] !== 'object') {
+      current[segment] = typeof segments[i + 1] === 'number' ? [] : {};
+    }
+    current = current[segment];
+  });
+}
+
+function deletePath(target, segments) {
+  const parent = getPath(target, segments.slice(0, -1));
+  if (parent !== null && typeof parent === 'object') {
+    delete parent[segments[segments.length - 1]];
+  }
+}
+
+function compileField(target, spec) {
+  const field = typeof spec === 'string' ? { path: spec } : spec;
+  if (!field || typeof field !== 'object') {
+    throw new Error(`Field "${target}" must be a path or an object with a path`);
+  }
+  
+  const segments = parsePath(field.path);
+  const scale = field.scale ?? 1;
+  const offset = field.offset ?? 0;
+  if (typeof scale !== 'number' || typeof offset !== 'number') {
+    throw new Error(`Field "${target}": scale and offset must be numbers`);
+  }
+  const numeric = field.scale !== undefined || field.offset !== undefined;
+  
+  return {
+    target: parsePath(target),
+    extract(message) {
+      let value = getPath(message, segments);
+      if (value === undefined) {
+        return field.default;
+      }
+      
+      // Unit conversion - numeric strings are common in feeds. null, "" and other
+      // strings count as missing, since Number() would turn them into 0.
+      if (numeric) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number') return field.default;
+        
+        value = number * scale + offset;
+        if (!Number.isFinite(value)) return field.default;
+      }
+      return value;
+    },
+  };
+}
+
+function compileMatch(match) {
+  if (match === undefined) {
+    return () => true;
+  }
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    throw new Error('"match" must be an object of path -> value');
+  }
+  
+  const conditions = Object.entries(match).map(([path, expected]) => ({
+    segments: parsePath(path),
+    expected,
+  }));
+  
+  return message => conditions.every(({ segments, expected }) => {
+    const actual = getPath(message, segments);
+    return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+  });
+}
+
+function compileRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('must be an object');
+  }
+  
+  const matches = compileMatch(rule.match);
+  const fields = Object.entries(rule.fields || {}).map(([target, spec]) => compileField(target, spec));
+  if (rule.drop !== undefined && !Array.isArray(rule.drop)) {
+    throw new Error('"drop" must be a list of paths');
+  }
+  const drops = (rule.drop || []).map(parsePath);
+  
+  // Without fields, a rule only filters and drops - so keep the message by default
+  const keep = rule.keep ?? fields.length === 0;
+  
+  return message => {
+    if (!matches(message)) return undefined;
+    
+    // The type is carried over unless a field replaces it or it's dropped - routing,
+    // queue policies and MQTT kinds all key on it
+    const result = keep ? JSON.parse(JSON.stringify(message)) : {};
+    if (!keep && message.type !== undefined) {
+      result.type = message.type;
+    }
+    for (const field of fields) {
+      const value = field.extract(message);
+      if (value !== undefined) {
+        setPath(result, field.target, value);
+      }
+    }
+    drops.forEach(segments => deletePath(result, segments));
+    return result;
+  };
+}
+
+// Returns a function mapping a message to its new shape, or null to drop it.
+// Throws on invalid mappings so they can be reported before anything streams.
+export function compileMapping(config) {
+  let mapping = config;
+  if (typeof config === 'string') {
+    try {
+      mapping = JSON.parse(config);
+    } catch (error) {
+      throw new Error(`Mapping is not valid JSON: ${error.message}`);
+    }
+  }
+  
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('Mapping must be a JSON object');
+  }
+  
+  const unmatched = mapping.unmatched ?? 'pass';
+  if (!['pass', 'drop'].includes(unmatched)) {
+    throw new Error(`"unmatched" must be "pass" or "drop", got ${unmatched}`);
+  }
+  
+  if (mapping.rules !== undefined && !Array.isArray(mapping.rules)) {
+    throw new Error('"rules" must be a list');
+  }
+  
+  const rules = (mapping.rules || [mapping]).map((rule, i) => {
+    try {
+      return compileRule(rule);
+    } catch (error) {
+      throw new Error(`Rule ${i + 1}: ${error.message}`);
+    }
+  });
+  
+  return message => {
+    // Only objects can be mapped - strings and binary payloads can only pass or drop
+    if (message !== null && typeof message === 'object' && !ArrayBuffer.isView(message)) {
+      for (const rule of rules) {
+        const result = rule(message);
+        if (result !== undefined) return result;
+      }
+    }
+    return unmatched === 'pass' ? message : null;
+  };
+}
@@ -0,0 +1,212 @@
+// messageQueue.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import base64 from 'base-64';
+
+// What happens when a message arrives and the queue is full:
+//   drop-oldest - evict the oldest message
+//   drop-newest - refuse the new message
+//   latest-only - keep only the newest message of each kind, then drop-oldest
+export const QUEUE_POLICIES = ['drop-oldest', 'drop-newest', 'latest-only'];
+
+// Passthrough frames are ArrayBuffers, which JSON can't hold
+function serialize(entry) {
+  if (!(entry.data instanceof ArrayBuffer)) return entry;
+  
+  const bytes = new Uint8Array(entry.data);
+  return { ...entry, data: base64.encode(String.fromCharCode.apply(null, bytes)), binary: true };
+}
+
+function deserialize(entry) {
+  if (!entry.binary) return entry;
+  
+  const binary = base64.decode(entry.data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  const { binary: _, ...rest } = entry;
+  return { ...rest, data: bytes.buffer };
+}
+
+/**
+ * Offline queue for messages that couldn't be delivered yet. Survives app restarts
+ * via AsyncStorage, and only forgets a message once it has actually been delivered.
+ */
+export class MessageQueue {
+  constructor(config = {}) {
+    this.storageKey = config.storageKey || 'messageQueue';
+    this.kindOf = config.kindOf || (message => message?.type ?? null);
+    this.persistDelay = config.persistDelay ?? 500;
+    this.configure(config);
+    
+    this.entries = []; // { id, kind, data, timestamp }, oldest first
+    this.nextId = 1;
+    this.isDraining = false;
+    this.persistTimer = null;
+    this.stats = {
+      dropped: 0,
+      expired: 0,
+    };
+  }
+  
+  configure({ maxSize = 1000, policy = 'drop-oldest', ttl = null } = {}) {
+    if (!QUEUE_POLICIES.includes(policy)) {
+      throw new Error(`Unknown queue policy: ${policy}`);
+    }
+    
+    this.maxSize = maxSize;
+    this.policy = policy;
+    this.ttl = ttl; // ms, null keeps messages until delivered
+  }
+  
+  async load() {
+    try {
+      const saved = await AsyncStorage.getItem(this.storageKey);
+      if (!saved) return;
+      
+      // Anything queued since startup goes after what was saved. Restored entries get
+      // fresh ids so they can't collide with those.
+      const restored = JSON.parse(saved).map(entry => ({ ...deserialize(entry), id: this.nextId++ }));
+      this.entries = [...restored, ...this.entries];
+      this.expire();
+      
+      console.log(`[Queue] Restored ${restored.length} queued messages`);
+    } catch (error) {
+      console.error('[Queue] Failed to restore queue:', error);
+    }
+  }
+  
+  // Writes are debounced - at stream rates every enqueue would hit storage
+  schedulePersist() {
+    if (this.persistTimer) return;
+    
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, this.persistDelay);
+  }
+  
+  async persist() {
+    try {
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(this.entries.map(serialize)));
+    } catch (error) {
+      console.error('[Queue] Failed to persist queue:', error);
+    }
+  }
+  
+  // Returns false if the policy refused the message
+  enqueue(message) {
+    this.expire();
+    
+    const kind = this.kindOf(message);
+    
+    if (this.policy === 'latest-only' && kind !== null) {
+      const index = this.entries.findIndex(entry => entry.kind === kind);
+      if (index !== -1) {
+        this.entries.splice(index, 1);
+        this.stats.dropped++;
+      }
+    }
+    
+    if (this.entries.length >= this.maxSize) {
+      if (this.policy === 'drop-newest') {
+        this.stats.dropped++;
+        return false;
+      }
+      this.entries.shift();
+      this.stats.dropped++;
+    }
+    
+    this.entries.push({
+      id: this.nextId++,
+      kind,
+      data: message,
+      timestamp: Date.now(),
+    });
+    this.schedulePersist();
+    return true;
+  }
+  
+  expire() {
+    if (!this.ttl) return;
+    
+    const cutoff = Date.now() - this.ttl;
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.timestamp >= cutoff);
+    
+    const expired = before - this.entries.length;
+    if (expired) {
+      this.stats.expired += expired;
+      this.schedulePersist();
+    }
+  }
+  
+  remove(id) {
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    this.schedulePersist();
+  }
+  
+  /**
+   * Sends queued messages oldest first, removing each one only after send resolves.
+   * Stops at the first failure so ordering is kept, unless shouldDrop(error) says the
+   * message can never be delivered.
+   */
+  async drain(send, { shouldDrop = () => false } = {}) {
+    if (this.isDraining) {
+      return { delivered: 0, dropped: 0, error: null };
+    }
+    this.isDraining = true;
+    
+    let delivered = 0;
+    let dropped = 0;
+    let error = null;
+    
+    try {
+      this.expire();
+      
+      // Messages queued while draining go after these and wait for the next drain
+      for (const entry of [...this.entries]) {
+        try {
+          await send(entry.data);
+          delivered++;
+        } catch (sendError) {
+          if (!shouldDrop(sendError)) {
+            error = sendError;
+            break;
+          }
+          dropped++;
+          this.stats.dropped++;
+        }
+        this.remove(entry.id);
+      }
+    } finally {
+      this.isDraining = false;
+    }
+    
+    return { delivered, dropped, error };
+  }
+  
+  // Hands every queued message over at once, oldest first, e.g. to re-queue elsewhere
+  takeAll() {
+    this.expire();
+    const messages = this.entries.map(entry => entry.data);
+    this.clear();
+    return messages;
+  }
+  
+  clear() {
+    this.entries = [];
+    this.schedulePersist();
+  }
+  
+  size() {
+    return this.entries.length;
+  }
+  
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.entries.length,
+    };
+  }
+}
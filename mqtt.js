@@ -0,0 +1,294 @@
+// Minimal MQTT 3.1.1 client codec for reading broker feeds over WebSocket
+// Covers CONNECT/CONNACK, SUBSCRIBE/SUBACK, PUBLISH/PUBACK (QoS 0 and 1),
+// PINGREQ/PINGRESP and DISCONNECT. No QoS 2, wills or UNSUBSCRIBE.
+
+export const PACKET = {
+  CONNECT: 1,
+  CONNACK: 2,
+  PUBLISH: 3,
+  PUBACK: 4,
+  SUBSCRIBE: 8,
+  SUBACK: 9,
+  PINGREQ: 12,
+  PINGRESP: 13,
+  DISCONNECT: 14,
+};
+
+export const CONNACK_ERRORS = {
+  1: 'unacceptable protocol version',
+  2: 'client identifier rejected',
+  3: 'server unavailable',
+  4: 'bad username or password',
+  5: 'not authorized',
+};
+
+const SUBACK_FAILURE = 0x80;
+const MAX_REMAINING_LENGTH = 268435455;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function writeRemainingLength(out, length) {
+  if (length > MAX_REMAINING_LENGTH) {
+    throw new Error(`MQTT packet too large (${length} bytes)`);
+  }
+  
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 0x80;
+    out.push(byte);
+  } while (length > 0);
+}
+
+function writeUint16(out, value) {
+  out.push((value >> 8) & 0xFF, value & 0xFF);
+}
+
+function writeBytes(out, bytes) {
+  for (let i = 0; i < bytes.length; i++) out.push(bytes[i]);
+}
+
+// Strings and binary fields are length-prefixed
+function writeString(out, value) {
+  const bytes = typeof value === 'string' ? textEncoder.encode(value) : value;
+  if (bytes.length > 0xFFFF) {
+    throw new Error('MQTT string field longer than 65535 bytes');
+  }
+  writeUint16(out, bytes.length);
+  writeBytes(out, bytes);
+}
+
+function packet(type, flags, body) {
+  const out = [(type << 4) | flags];
+  writeRemainingLength(out, body.length);
+  writeBytes(out, body);
+  return new Uint8Array(out);
+}
+
+export function encodeConnect({ clientId, username = null, password = null, keepalive = 30, cleanSession = true }) {
+  if (password !== null && username === null) {
+    throw new Error('MQTT 3.1.1 needs a username to send a password');
+  }
+  
+  const body = [];
+  writeString(body, 'MQTT');
+  body.push(4); // Protocol level 3.1.1
+  body.push(
+    (username !== null ? 0x80 : 0) |
+    (password !== null ? 0x40 : 0) |
+    (cleanSession ? 0x02 : 0)
+  );
+  writeUint16(body, keepalive);
+  writeString(body, clientId);
+  if (username !== null) writeString(body, username);
+  if (password !== null) writeString(body, password);
+  
+  return packet(PACKET.CONNECT, 0, body);
+}
+
+export function encodeSubscribe(packetId, subscriptions) {
+  const body = [];
+  writeUint16(body, packetId);
+  for (const { topic, qos = 0 } of subscriptions) {
+    writeString(body, topic);
+    body.push(qos);
+  }
+  // SUBSCRIBE requires flags 0b0010
+  return packet(PACKET.SUBSCRIBE, 0x02, body);
+}
+
+export function encodePublish({ topic, payload, qos = 0, packetId = 0, retain = false, dup = false }) {
+  const body = [];
+  writeString(body, topic);
+  if (qos > 0) writeUint16(body, packetId);
+  writeBytes(body, typeof payload === 'string' ? textEncoder.encode(payload) : payload);
+  
+  const flags = (dup ? 0x08 : 0) | (qos << 1) | (retain ? 0x01 : 0);
+  return packet(PACKET.PUBLISH, flags, body);
+}
+
+export function encodePuback(packetId) {
+  const body = [];
+  writeUint16(body, packetId);
+  return packet(PACKET.PUBACK, 0, body);
+}
+
+export function encodePingreq() {
+  return packet(PACKET.PINGREQ, 0, []);
+}
+
+export function encodeDisconnect() {
+  return packet(PACKET.DISCONNECT, 0, []);
+}
+
+function decodePacket(type, flags, body) {
+  const readUint16 = (offset) => (body[offset] << 8) | body[offset + 1];
+  // Reading past the body would yield undefined bytes, decoded as zeros
+  const need = (length) => {
+    if (body.length < length) {
+      throw new Error(`Truncated MQTT packet (type ${type}, ${body.length} bytes)`);
+    }
+  };
+  
+  switch (type) {
+    case PACKET.CONNACK:
+      need(2);
+      return { type, sessionPresent: (body[0] & 0x01) === 1, returnCode: body[1] };
+    
+    case PACKET.PUBLISH: {
+      const qos = (flags >> 1) & 0x03;
+      need(2);
+      const topicLength = readUint16(0);
+      need(2 + topicLength + (qos > 0 ? 2 : 0));
+      const topic = textDecoder.decode(body.subarray(2, 2 + topicLength));
+      let offset = 2 + topicLength;
+      let packetId = null;
+      if (qos > 0) {
+        packetId = readUint16(offset);
+        offset += 2;
+      }
+      return {
+        type,
+        topic,
+        qos,
+        packetId,
+        dup: (flags & 0x08) !== 0,
+        retain: (flags & 0x01) !== 0,
+        payload: body.slice(offset),
+      };
+    }
+    
+    case PACKET.PUBACK:
+      need(2);
+      return { type, packetId: readUint16(0) };
+    
+    case PACKET.SUBACK:
+      need(3);
+      return {
+        type,
+        packetId: readUint16(0),
+        // 0x80 marks a refused subscription, otherwise the granted QoS
+        returnCodes: Array.from(body.subarray(2)),
+      };
+    
+    default:
+      return { type };
+  }
+}
+
+// WebSocket messages can split or combine MQTT packets, so bytes are buffered
+// until whole packets are available
+export class MqttReader {
+  constructor() {
+    this.buffer = new Uint8Array(0);
+  }
+  
+  // Returns every complete packet received so far. Throws on a malformed stream
+  // or a packet too short for its type.
+  push(bytes) {
+    const combined = new Uint8Array(this.buffer.length + bytes.length);
+    combined.set(this.buffer);
+    combined.set(bytes, this.buffer.length);
+    
+    const packets = [];
+    let offset = 0;
+    while (offset < combined.length) {
+      let length = 0;
+      let multiplier = 1;
+      let cursor = offset + 1;
+      let complete = false;
+      
+      for (let i = 0; i < 4 && cursor < combined.length; i++) {
+        const byte = combined[cursor++];
+        length += (byte & 0x7F) * multiplier;
+        multiplier *= 128;
+        if (!(byte & 0x80)) {
+          complete = true;
+          break;
+        }
+        if (i === 3) {
+          throw new Error('Malformed MQTT remaining length');
+        }
+      }
+      
+      // Wait for the rest of the header or body
+      if (!complete || cursor + length > combined.length) break;
+      
+      const header = combined[offset];
+      packets.push(decodePacket(header >> 4, header & 0x0F, combined.subarray(cursor, cursor + length)));
+      offset = cursor + length;
+    }
+    
+    this.buffer = combined.slice(offset);
+    return packets;
+  }
+  
+  reset() {
+    this.buffer = new Uint8Array(0);
+  }
+}
+
+export function subackFailed(code) {
+  return code === SUBACK_FAILURE;
+}
+
+// + matches one level, # matches the rest (including the parent level itself)
+export function validateTopicFilter(filter) {
+  if (typeof filter !== 'string' || !filter.length) {
+    throw new Error('Topic filter must be a non-empty string');
+  }
+  
+  const levels = filter.split('/');
+  levels.forEach((level, i) => {
+    if (level.includes('#') && (level !== '#' || i !== levels.length - 1)) {
+      throw new Error(`Invalid topic filter "${filter}": # must be the whole last level`);
+    }
+    if (level.includes('+') && level !== '+') {
+      throw new Error(`Invalid topic filter "${filter}": + must be a whole level`);
+    }
+  });
+}
+
+export function topicMatches(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+  
+  // Wildcards at the start never match $SYS-style topics
+  if (topic.startsWith('$') && (filterLevels[0] === '+' || filterLevels[0] === '#')) {
+    return false;
+  }
+  
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+}
+
+// One subscription per line: "<topic filter> [qos] [kind]", e.g. "match/+/ball 1 position"
+export function parseSubscriptions(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .map((line, i) => ({ line, number: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith('//'))
+    .map(({ line, number }) => {
+      const [topic, ...rest] = line.split(/\s+/);
+      let qos = 0;
+      if (/^[01]$/.test(rest[0])) {
+        qos = Number(rest.shift());
+      }
+      if (rest.length > 1) {
+        throw new Error(`Line ${number}: expected "<topic> [qos] [kind]"`);
+      }
+      
+      try {
+        validateTopicFilter(topic);
+      } catch (error) {
+        throw new Error(`Line ${number}: ${error.message}`);
+      }
+      return { topic, qos, kind: rest[0] || null };
+    });
+}
@@ -1,3 +1,167 @@
+import { encodeCbor, decodeCbor } from './cbor';
+
+// Fragment format:
+// [1 byte: 0xFE marker][2 bytes: message id][1 byte: index][1 byte: count][variable: chunk]
+const FRAGMENT_MARKER = 0xFE;
+const FRAGMENT_HEADER_SIZE = 5;
+const ATT_HEADER_SIZE = 3;
+
+let nextFragmentId = 0;
+
+// Framed binary format - optional integrity check around a binary/CBOR message or batch:
+// [1 byte: 0xFD marker][2 bytes: message length][variable: message][2 bytes: CRC-16]
+const FRAME_MARKER = 0xFD;
+const FRAME_HEADER_SIZE = 3;
+const FRAME_CRC_SIZE = 2;
+
+// CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF, not reflected)
+const CRC16_TABLE = new Uint16Array(256).map((_, i) => {
+	let crc = i << 8;
+	for (let bit = 0; bit < 8; bit++) {
+	  crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+	}
+	return crc & 0xFFFF;
+});
+
+function crc16(bytes) {
+	let crc = 0xFFFF;
+	for (let i = 0; i < bytes.length; i++) {
+	  crc = ((crc << 8) ^ CRC16_TABLE[((crc >> 8) ^ bytes[i]) & 0xFF]) & 0xFFFF;
+	}
+	return crc;
+}
+
+const frameStats = {
+	accepted: 0,
+	rejected: 0,
+	lastRejectReason: null,
+};
+
+// Reliable frame - a sequenced message the firmware acknowledges ("ack" feature):
+// [1 byte: 0xFB marker][2 bytes: sequence number][variable: message]
+const RELIABLE_MARKER = 0xFB;
+const RELIABLE_HEADER_SIZE = 3;
+
+// Binary message type registry - id -> { id, match, encode, decode, validate, fallback }
+// 0xFB-0xFF are reserved for reliable frames, sealed frames, CRC frames, fragments and
+// unknown payloads
+const UNKNOWN_TYPE = 0xFF;
+const MAX_TYPE_ID = 0xFA;
+const messageTypes = new Map();
+const typeOrder = [];
+
+const hex = id => `0x${id.toString(16).padStart(2, '0')}`;
+
+// Coordinate encoding profiles - the profile is carried in the type byte:
+// [0b01][2 bits: width][1 bit: unsigned][3 bits: log10(scale)]
+// The legacy profile (Int16, signed, x100) keeps using type 0x01
+const PROFILED_COORDINATES = 0x40;
+const COORDINATE_WIDTHS = {
+	int16: { code: 0, bytes: 2, signed: [-32768, 32767], unsigned: [0, 65535] },
+	int32: { code: 1, bytes: 4, signed: [-2147483648, 2147483647], unsigned: [0, 4294967295] },
+	float32: { code: 2, bytes: 4 },
+};
+const LEGACY_COORDINATE_PROFILE = {
+	scale: 100,
+	signed: true,
+	width: 'int16',
+	overflow: 'clamp',
+};
+
+let coordinateProfile = { ...LEGACY_COORDINATE_PROFILE };
+
+const coordinateStats = {
+	overflows: 0,
+	clamped: 0,
+	rejected: 0,
+};
+
+// Delta coordinates - a keyframe, then small deltas against the previous position
+// Keyframe (0x04): [type][4 bytes: timestamp][1 byte: log10(scale)][1 byte: seq][zigzag varint: x, y, z]
+// Delta    (0x05): [type][1 byte: seq][varint: ms since previous][zigzag varint: dx, dy, dz]
+// A gap in seq means a lost message - the decoder drops deltas until the next keyframe
+const DELTA_KEYFRAME = 0x04;
+const DELTA_UPDATE = 0x05;
+const MAX_DELTA_MS = 0xFFFF;
+
+const deltaEncoder = {
+	enabled: false,
+	keyframeInterval: 20,
+	sinceKeyframe: 0,
+	seq: 0,
+	last: null,
+};
+
+const deltaDecoder = {
+	synced: false,
+	seq: 0,
+	last: null,
+};
+
+const deltaStats = {
+	keyframes: 0,
+	deltas: 0,
+	desyncs: 0,
+};
+
+// Zig-zag maps signed to unsigned so small negative deltas stay small;
+// arithmetic rather than bit ops so scaled values beyond 32 bits survive
+const zigzag = n => (n >= 0 ? n * 2 : -n * 2 - 1);
+const unzigzag = z => (z % 2 === 0 ? z / 2 : -(z + 1) / 2);
+
+function writeVarint(out, value) {
+	while (value >= 0x80) {
+	  out.push((value % 0x80) | 0x80);
+	  value = Math.floor(value / 0x80);
+	}
+	out.push(value);
+}
+
+function readVarint(bytes, cursor) {
+	let value = 0;
+	let multiplier = 1;
+	
+	for (;;) {
+	  if (cursor.offset >= bytes.length) {
+		throw new ProtocolError('Varint truncated');
+	  }
+	  
+	  const byte = bytes[cursor.offset++];
+	  value += (byte & 0x7F) * multiplier;
+	  if (!(byte & 0x80)) {
+		return value;
+	  }
+	  
+	  multiplier *= 0x80;
+	  if (multiplier > Number.MAX_SAFE_INTEGER) {
+		throw new ProtocolError('Varint too long');
+	  }
+	}
+}
+
+// Handshake - bump when the wire format changes incompatibly
+const PROTOCOL_VERSION = 1;
+const ENCODINGS = ['json', 'binary', 'cbor'];
+
+// Firmware that never answers the handshake predates it and only speaks JSON
+const LEGACY_CAPABILITIES = {
+	version: 0,
+	encodings: ['json'],
+	features: [],
+	messageTypes: [],
+	maxMessageRate: null,
+	maxPayloadSize: null,
+	sessionNonce: null,
+};
+
+// Errors that retrying the connection won't fix
+export class ProtocolError extends Error {
+	constructor(message) {
+	  super(message);
+	  this.name = 'ProtocolError';
+	}
+  }
+
 export class Protocol {
 	// JSON protocol - human readable but larger
 	static encodeJson(data) {
@@ -21,35 +185,51 @@ export class Protocol {
 	  }
 	}
 	
+	// CBOR protocol - same {t, d} envelope as JSON, compact for structured payloads
+	static encodeCbor(data) {
+	  return encodeCbor({
+		t: Date.now(),
+		d: data,
+	  }).buffer;
+	}
+	
+	static decodeCbor(buffer) {
+	  if (this.isFramed(new Uint8Array(buffer))) {
+		buffer = this.unframeBinary(buffer);
+		if (!buffer) return null;
+	  }
+	  
+	  try {
+		const message = decodeCbor(new Uint8Array(buffer));
+		return {
+		  timestamp: message.t,
+		  data: message.d,
+		};
+	  } catch (error) {
+		return this.rejectFrame(`CBOR: ${error.message}`);
+	  }
+	}
+	
 	// Binary protocol - compact for high-frequency updates
 	static encodeBinary(data) {
 	  // Protocol format:
 	  // [1 byte: message type][4 bytes: timestamp][variable: payload]
+	  // Compact types write everything after the type byte themselves
 	  
-	  let payload;
-	  let messageType;
-	  
-	  // Determine message type and encode payload
-	  if (typeof data === 'object' && data.x !== undefined && data.y !== undefined) {
-		// Coordinate data - most common case
-		messageType = 0x01;
-		payload = this.encodeCoordinates(data.x, data.y, data.z);
-	  } else if (typeof data === 'string') {
-		// String message
-		messageType = 0x02;
-		payload = this.encodeString(data);
-	  } else if (typeof data === 'object') {
-		// Generic object - fallback to JSON
-		messageType = 0x03;
-		payload = this.encodeString(JSON.stringify(data));
-	  } else {
-		// Unknown type
-		messageType = 0xFF;
-		payload = new Uint8Array(0);
+	  // Determine message type from the registry and encode payload
+	  const timestamp = Date.now();
+	  const type = this.findType(data);
+	  const messageType = type ? type.id : UNKNOWN_TYPE;
+	  const payload = type ? type.encode(data, timestamp) : new Uint8Array(0);
+	  
+	  if (type?.compact) {
+		const bytes = new Uint8Array(1 + payload.length);
+		bytes[0] = messageType;
+		bytes.set(payload, 1);
+		return bytes.buffer;
 	  }
 	  
 	  // Create binary message
-	  const timestamp = Date.now();
 	  const buffer = new ArrayBuffer(1 + 4 + payload.length);
 	  const view = new DataView(buffer);
 	  const bytes = new Uint8Array(buffer);
@@ -65,40 +245,50 @@ export class Protocol {
 	}
 	
 	static decodeBinary(buffer) {
-	  if (buffer.byteLength < 5) {
+	  // Framed messages are verified before anything trusts their contents
+	  if (this.isFramed(new Uint8Array(buffer))) {
+		buffer = this.unframeBinary(buffer);
+		if (!buffer) return null;
+	  }
+	  
+	  if (buffer.byteLength < 1) {
 		console.error('[Protocol] Binary message too short');
 		return null;
 	  }
 	  
 	  const view = new DataView(buffer);
 	  const messageType = view.getUint8(0);
+	  const type = messageTypes.get(messageType);
+	  
+	  if (type?.compact) {
+		try {
+		  const decoded = type.decode(new Uint8Array(buffer, 1));
+		  return decoded && { type: messageType, ...decoded };
+		} catch (error) {
+		  return this.rejectFrame(`Type ${hex(messageType)}: ${error.message}`);
+		}
+	  }
+	  
+	  if (buffer.byteLength < 5) {
+		console.error('[Protocol] Binary message too short');
+		return null;
+	  }
+	  
 	  const timestamp = view.getUint32(1, true);
 	  
 	  const payloadStart = 5;
 	  const payloadLength = buffer.byteLength - payloadStart;
 	  const payload = new Uint8Array(buffer, payloadStart, payloadLength);
 	  
-	  let data;
-	  
-	  switch (messageType) {
-		case 0x01: // Coordinates
-		  data = this.decodeCoordinates(payload);
-		  break;
-		case 0x02: // String
-		case 0x03: // JSON object as string
-		  const str = this.decodeString(payload);
-		  if (messageType === 0x03) {
-			try {
-			  data = JSON.parse(str);
-			} catch {
-			  data = str;
-			}
-		  } else {
-			data = str;
-		  }
-		  break;
-		default:
-		  data = payload;
+	  // Unregistered types are passed through as raw bytes
+	  let data = payload;
+	  
+	  if (type) {
+		try {
+		  data = type.decode(payload);
+		} catch (error) {
+		  return this.rejectFrame(`Type ${hex(messageType)}: ${error.message}`);
+		}
 	  }
 	  
 	  return {
@@ -108,31 +298,351 @@ export class Protocol {
 	  };
 	}
 	
+	// Message type registry
+	// match(data) -> bool, encode(data, timestamp) -> Uint8Array, decode(Uint8Array) -> data,
+	// validate(data) -> bool (optional). The encoder tries types in registration
+	// order; types registered with fallback: true are only tried after all others.
+	// Compact types skip the timestamp header: decode returns { timestamp, data },
+	// or null to drop the message.
+	static registerType(id, { match, encode, decode, validate, fallback = false, compact = false }) {
+	  if (!Number.isInteger(id) || id < 0 || id > MAX_TYPE_ID) {
+		throw new Error(`Message type id must be 0x00-${hex(MAX_TYPE_ID)}, got ${id}`);
+	  }
+	  
+	  if (messageTypes.has(id)) {
+		throw new Error(`Message type ${hex(id)} is already registered`);
+	  }
+	  
+	  if ([match, encode, decode].some(fn => typeof fn !== 'function')) {
+		throw new Error('Message types need match, encode and decode functions');
+	  }
+	  
+	  const type = { id, match, encode, decode, validate, fallback, compact };
+	  messageTypes.set(id, type);
+	  
+	  const firstFallback = typeOrder.findIndex(t => t.fallback);
+	  if (fallback || firstFallback === -1) {
+		typeOrder.push(type);
+	  } else {
+		typeOrder.splice(firstFallback, 0, type);
+	  }
+	  
+	  return type;
+	}
+	
+	static getType(id) {
+	  return messageTypes.get(id) || null;
+	}
+	
+	static getRegisteredTypes() {
+	  return typeOrder.map(t => t.id);
+	}
+	
+	static findType(data) {
+	  return typeOrder.find(t => t.match(data)) || null;
+	}
+	
+	// Position updates - superseded by the next one, unlike events
+	static isCoordinates(data) {
+	  return isCoordinates(data);
+	}
+	
+	// Coordinate profiles - scale, signedness, width and overflow policy for this session
+	static normalizeCoordinateProfile(profile) {
+	  const normalized = { ...LEGACY_COORDINATE_PROFILE, ...profile };
+	  
+	  if (!COORDINATE_WIDTHS[normalized.width]) {
+		throw new Error(`Unknown coordinate width: ${normalized.width}`);
+	  }
+	  
+	  if (!['clamp', 'reject'].includes(normalized.overflow)) {
+		throw new Error(`Unknown overflow policy: ${normalized.overflow}`);
+	  }
+	  
+	  // Floats carry their own precision
+	  if (normalized.width === 'float32') {
+		return { ...normalized, scale: 1, signed: true };
+	  }
+	  
+	  const exponent = Math.log10(normalized.scale);
+	  if (!Number.isInteger(exponent) || exponent < 0 || exponent > 7) {
+		throw new Error(`Coordinate scale must be a power of 10 from 1 to 10^7, got ${normalized.scale}`);
+	  }
+	  
+	  return normalized;
+	}
+	
+	static setCoordinateProfile(profile) {
+	  coordinateProfile = this.normalizeCoordinateProfile(profile);
+	  return { ...coordinateProfile };
+	}
+	
+	static getCoordinateProfile() {
+	  return { ...coordinateProfile };
+	}
+	
+	// Type byte sent for a profile - the legacy profile stays on 0x01 for older firmware
+	static coordinateTypeId(profile = coordinateProfile) {
+	  const { scale, signed, width } = this.normalizeCoordinateProfile(profile);
+	  
+	  if (scale === 100 && signed && width === 'int16') {
+		return 0x01;
+	  }
+	  return this.profiledCoordinateTypeId(profile);
+	}
+	
+	static profiledCoordinateTypeId(profile) {
+	  const { scale, signed, width } = this.normalizeCoordinateProfile(profile);
+	  
+	  return PROFILED_COORDINATES |
+		(COORDINATE_WIDTHS[width].code << 4) |
+		(signed ? 0 : 0x08) |
+		Math.log10(scale);
+	}
+	
+	static coordinateProfileFromTypeId(id) {
+	  if (id === 0x01) {
+		return { ...LEGACY_COORDINATE_PROFILE };
+	  }
+	  
+	  const code = (id >> 4) & 0x03;
+	  const width = Object.keys(COORDINATE_WIDTHS).find(w => COORDINATE_WIDTHS[w].code === code);
+	  return this.normalizeCoordinateProfile({
+		width,
+		signed: !(id & 0x08),
+		scale: Math.pow(10, id & 0x07),
+	  });
+	}
+	
+	// Representable range in real units, e.g. -327.68..327.67 for the legacy profile
+	static coordinateRange(profile = coordinateProfile) {
+	  const { scale, signed, width } = this.normalizeCoordinateProfile(profile);
+	  if (width === 'float32') {
+		return { min: -3.4e38, max: 3.4e38 };
+	  }
+	  
+	  const [min, max] = COORDINATE_WIDTHS[width][signed ? 'signed' : 'unsigned'];
+	  return { min: min / scale, max: max / scale };
+	}
+	
+	static quantizeCoordinate(axis, value, profile) {
+	  const float = profile.width === 'float32';
+	  const [min, max] = float
+		? [-3.4e38, 3.4e38]
+		: COORDINATE_WIDTHS[profile.width][profile.signed ? 'signed' : 'unsigned'];
+	  const scaled = float ? Number(value) : Math.round(value * profile.scale);
+	  if (scaled >= min && scaled <= max) {
+		return scaled;
+	  }
+	  
+	  coordinateStats.overflows++;
+	  
+	  // NaN has no nearest representable value, so it is rejected whatever the policy
+	  if (profile.overflow === 'reject' || Number.isNaN(scaled)) {
+		coordinateStats.rejected++;
+		throw new ProtocolError(
+		  `Coordinate ${axis}=${value} is outside ${min / profile.scale}..${max / profile.scale}`
+		);
+	  }
+	  
+	  coordinateStats.clamped++;
+	  return Math.min(max, Math.max(min, scaled));
+	}
+	
+	static getCoordinateStats() {
+	  return { ...coordinateStats };
+	}
+	
+	// Delta coordinates - opt-in per session, needs the firmware's "delta" feature
+	static setDeltaEncoding({ enabled = false, keyframeInterval = 20 } = {}) {
+	  deltaEncoder.enabled = enabled;
+	  deltaEncoder.keyframeInterval = keyframeInterval;
+	  this.requestKeyframe();
+	}
+	
+	static isDeltaEncodingEnabled() {
+	  return deltaEncoder.enabled;
+	}
+	
+	// Force the next coordinate out as a keyframe, e.g. after a failed write
+	static requestKeyframe() {
+	  deltaEncoder.last = null;
+	}
+	
+	// New session - both directions start over from a keyframe
+	static resetDeltaState() {
+	  this.requestKeyframe();
+	  deltaDecoder.synced = false;
+	  deltaDecoder.last = null;
+	}
+	
+	static getDeltaStats() {
+	  return { ...deltaStats };
+	}
+	
+	// Floats have no scale of their own, so deltas quantize them to 3 decimal places
+	// held as Int32. Other profiles keep their own scale and range.
+	static deltaProfile() {
+	  return coordinateProfile.width === 'float32'
+		? { ...coordinateProfile, width: 'int32', signed: true, scale: 1000 }
+		: coordinateProfile;
+	}
+	
+	static deltaScale() {
+	  return this.deltaProfile().scale;
+	}
+	
+	// Same range check and overflow policy as absolute coordinates. Throws before any
+	// encoder state changes, so a rejected sample can't leave the device a step behind.
+	static quantizeDeltaPosition(data) {
+	  const profile = this.deltaProfile();
+	  return ['x', 'y', 'z'].map(axis => this.quantizeCoordinate(axis, data[axis] ?? 0, profile));
+	}
+	
+	static needsKeyframe() {
+	  const last = deltaEncoder.last;
+	  const elapsed = Date.now() - (last?.timestamp ?? 0);
+	  
+	  return !last ||
+		deltaEncoder.sinceKeyframe >= deltaEncoder.keyframeInterval ||
+		last.scale !== this.deltaScale() ||
+		elapsed < 0 || elapsed > MAX_DELTA_MS;
+	}
+	
+	static encodeDeltaKeyframe(data, timestamp) {
+	  const scale = this.deltaScale();
+	  const position = this.quantizeDeltaPosition(data);
+	  
+	  deltaEncoder.seq = (deltaEncoder.seq + 1) & 0xFF;
+	  deltaEncoder.sinceKeyframe = 0;
+	  deltaEncoder.last = { timestamp, scale, position };
+	  deltaStats.keyframes++;
+	  
+	  // Timestamp bytes are filled in once the varints have been appended
+	  const out = [0, 0, 0, 0, Math.log10(scale), deltaEncoder.seq];
+	  position.forEach(value => writeVarint(out, zigzag(value)));
+	  
+	  const bytes = new Uint8Array(out);
+	  new DataView(bytes.buffer).setUint32(0, timestamp & 0xFFFFFFFF, true);
+	  return bytes;
+	}
+	
+	static encodeDeltaUpdate(data, timestamp) {
+	  const last = deltaEncoder.last;
+	  const position = this.quantizeDeltaPosition(data);
+	  
+	  deltaEncoder.seq = (deltaEncoder.seq + 1) & 0xFF;
+	  deltaEncoder.sinceKeyframe++;
+	  deltaEncoder.last = { timestamp, scale: last.scale, position };
+	  deltaStats.deltas++;
+	  
+	  const out = [deltaEncoder.seq];
+	  writeVarint(out, timestamp - last.timestamp);
+	  position.forEach((value, i) => writeVarint(out, zigzag(value - last.position[i])));
+	  
+	  return new Uint8Array(out);
+	}
+	
+	static decodeDeltaKeyframe(payload) {
+	  if (payload.length < 6) {
+		throw new ProtocolError('Keyframe truncated');
+	  }
+	  
+	  const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+	  const timestamp = view.getUint32(0, true);
+	  const scale = Math.pow(10, payload[4]);
+	  const cursor = { offset: 6 };
+	  const position = [0, 1, 2].map(() => unzigzag(readVarint(payload, cursor)));
+	  
+	  deltaDecoder.synced = true;
+	  deltaDecoder.seq = payload[5];
+	  deltaDecoder.last = { timestamp, scale, position };
+	  
+	  return { timestamp, data: this.deltaPosition(deltaDecoder.last) };
+	}
+	
+	static decodeDeltaUpdate(payload) {
+	  if (payload.length < 1) {
+		throw new ProtocolError('Delta truncated');
+	  }
+	  
+	  const seq = payload[0];
+	  if (!deltaDecoder.synced || seq !== ((deltaDecoder.seq + 1) & 0xFF)) {
+		if (deltaDecoder.synced) {
+		  deltaStats.desyncs++;
+		  console.warn('[Protocol] Delta stream lost sync, waiting for keyframe');
+		}
+		deltaDecoder.synced = false;
+		return null;
+	  }
+	  
+	  const last = deltaDecoder.last;
+	  const cursor = { offset: 1 };
+	  const timestamp = (last.timestamp + readVarint(payload, cursor)) >>> 0;
+	  const position = last.position.map(value => value + unzigzag(readVarint(payload, cursor)));
+	  
+	  deltaDecoder.seq = seq;
+	  deltaDecoder.last = { timestamp, scale: last.scale, position };
+	  
+	  return { timestamp, data: this.deltaPosition(deltaDecoder.last) };
+	}
+	
+	static deltaPosition({ scale, position }) {
+	  return {
+		x: position[0] / scale,
+		y: position[1] / scale,
+		z: position[2] / scale,
+	  };
+	}
+	
 	// Helper functions for binary encoding
-	static encodeCoordinates(x, y, z = 0) {
-	  // Use 16-bit integers for coordinates (range: -32768 to 32767)
-	  // Scale floating point to fixed point with 2 decimal places
-	  const buffer = new ArrayBuffer(6);
+	static encodeCoordinates(x, y, z = 0, profile = LEGACY_COORDINATE_PROFILE) {
+	  // Fixed point (or float) per profile - legacy is Int16 with 2 decimal places
+	  const width = COORDINATE_WIDTHS[profile.width];
+	  const buffer = new ArrayBuffer(width.bytes * 3);
 	  const view = new DataView(buffer);
 	  
-	  view.setInt16(0, Math.round(x * 100), true);
-	  view.setInt16(2, Math.round(y * 100), true);
-	  view.setInt16(4, Math.round(z * 100), true);
+	  [x, y, z].forEach((value, i) => {
+		const axis = 'xyz'[i];
+		const quantized = this.quantizeCoordinate(axis, value ?? 0, profile);
+		const offset = i * width.bytes;
+		
+		if (profile.width === 'float32') {
+		  view.setFloat32(offset, quantized, true);
+		} else if (profile.width === 'int32') {
+		  profile.signed
+			? view.setInt32(offset, quantized, true)
+			: view.setUint32(offset, quantized, true);
+		} else {
+		  profile.signed
+			? view.setInt16(offset, quantized, true)
+			: view.setUint16(offset, quantized, true);
+		}
+	  });
 	  
 	  return new Uint8Array(buffer);
 	}
 	
-	static decodeCoordinates(bytes) {
-	  if (bytes.length < 6) {
+	static decodeCoordinates(bytes, profile = LEGACY_COORDINATE_PROFILE) {
+	  const width = COORDINATE_WIDTHS[profile.width];
+	  if (bytes.length < width.bytes * 3) {
 		return { x: 0, y: 0, z: 0 };
 	  }
 	  
 	  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	  const read = (offset) => {
+		if (profile.width === 'float32') {
+		  return view.getFloat32(offset, true);
+		} else if (profile.width === 'int32') {
+		  return profile.signed ? view.getInt32(offset, true) : view.getUint32(offset, true);
+		}
+		return profile.signed ? view.getInt16(offset, true) : view.getUint16(offset, true);
+	  };
 	  
 	  return {
-		x: view.getInt16(0, true) / 100,
-		y: view.getInt16(2, true) / 100,
-		z: view.getInt16(4, true) / 100,
+		x: read(0) / profile.scale,
+		y: read(width.bytes) / profile.scale,
+		z: read(width.bytes * 2) / profile.scale,
 	  };
 	}
 	
@@ -147,8 +657,15 @@ export class Protocol {
 	}
 	
 	// Utility functions for message batching
-	static createBatch(messages, useBinary = false) {
-	  if (useBinary) {
+	// format is 'json', 'binary' or 'cbor' (true/false still mean binary/JSON)
+	static createBatch(messages, format = 'json') {
+	  if (format === 'cbor') {
+		// CBOR batch - one array of {t, d} envelopes
+		const timestamp = Date.now();
+		return encodeCbor(messages.map(msg => ({ t: timestamp, d: msg }))).buffer;
+	  }
+	  
+	  if (format === true || format === 'binary') {
 		// Binary batch format:
 		// [2 bytes: message count][message1][message2]...
 		
@@ -178,9 +695,64 @@ export class Protocol {
 	  }
 	}
 	
-	static parseBatch(data, isBinary = false) {
-	  if (isBinary) {
-		const buffer = data instanceof ArrayBuffer ? data : data.buffer;
+	// Binary batches carry no marker - a buffer is treated as one when its
+	// length prefixes account for every byte exactly
+	static isBatch(buffer) {
+	  let bytes = new Uint8Array(buffer);
+	  if (this.isFramed(bytes)) {
+		bytes = bytes.subarray(FRAME_HEADER_SIZE, bytes.length - FRAME_CRC_SIZE);
+	  }
+	  if (bytes.length < 2) return false;
+	  
+	  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	  const messageCount = view.getUint16(0, true);
+	  
+	  let offset = 2;
+	  for (let i = 0; i < messageCount; i++) {
+		if (offset + 2 > bytes.length) return false;
+		offset += 2 + view.getUint16(offset, true);
+	  }
+	  return offset === bytes.length;
+	}
+	
+	static parseBatch(data, format = 'json') {
+	  if (format === 'cbor') {
+		let buffer = data instanceof ArrayBuffer ? data : data.buffer;
+		
+		if (this.isFramed(new Uint8Array(buffer))) {
+		  buffer = this.unframeBinary(buffer);
+		  if (!buffer) return [];
+		}
+		
+		try {
+		  const batch = decodeCbor(new Uint8Array(buffer));
+		  if (!Array.isArray(batch)) {
+			this.rejectFrame('CBOR batch is not an array');
+			return [];
+		  }
+		  return batch.map(message => ({
+			timestamp: message?.t,
+			data: message?.d,
+		  }));
+		} catch (error) {
+		  this.rejectFrame(`CBOR batch: ${error.message}`);
+		  return [];
+		}
+	  }
+	  
+	  if (format === true || format === 'binary') {
+		let buffer = data instanceof ArrayBuffer ? data : data.buffer;
+		
+		if (this.isFramed(new Uint8Array(buffer))) {
+		  buffer = this.unframeBinary(buffer);
+		  if (!buffer) return [];
+		}
+		
+		if (buffer.byteLength < 2) {
+		  this.rejectFrame('Batch too short');
+		  return [];
+		}
+		
 		const view = new DataView(buffer);
 		
 		const messageCount = view.getUint16(0, true);
@@ -188,9 +760,19 @@ export class Protocol {
 		
 		let offset = 2;
 		for (let i = 0; i < messageCount; i++) {
+		  if (offset + 2 > buffer.byteLength) {
+			this.rejectFrame(`Batch truncated after ${i} of ${messageCount} messages`);
+			break;
+		  }
+		  
 		  const msgLength = view.getUint16(offset, true);
 		  offset += 2;
 		  
+		  if (offset + msgLength > buffer.byteLength) {
+			this.rejectFrame(`Batch truncated after ${i} of ${messageCount} messages`);
+			break;
+		  }
+		  
 		  const msgBuffer = buffer.slice(offset, offset + msgLength);
 		  const decoded = this.decodeBinary(msgBuffer);
 		  if (decoded) {
@@ -210,17 +792,419 @@ export class Protocol {
 	  }
 	}
 	
+	// Integrity framing - wraps an encoded binary message or batch with length and CRC
+	static encodeFramed(data) {
+	  return this.frameBinary(this.encodeBinary(data));
+	}
+	
+	static frameBinary(buffer) {
+	  const message = new Uint8Array(buffer);
+	  if (message.length > 0xFFFF) {
+		throw new ProtocolError(`Message too large to frame (${message.length} bytes)`);
+	  }
+	  
+	  const frame = new ArrayBuffer(FRAME_HEADER_SIZE + message.length + FRAME_CRC_SIZE);
+	  const view = new DataView(frame);
+	  const bytes = new Uint8Array(frame);
+	  
+	  // Write header
+	  view.setUint8(0, FRAME_MARKER);
+	  view.setUint16(1, message.length, true);
+	  
+	  // Write message and checksum over header + message
+	  bytes.set(message, FRAME_HEADER_SIZE);
+	  const crcOffset = FRAME_HEADER_SIZE + message.length;
+	  view.setUint16(crcOffset, crc16(bytes.subarray(0, crcOffset)), true);
+	  
+	  return frame;
+	}
+	
+	static isFramed(bytes) {
+	  return bytes.length > 0 && bytes[0] === FRAME_MARKER;
+	}
+	
+	// Returns the inner message, or null (and counts a rejection) if the frame is damaged
+	static unframeBinary(buffer) {
+	  const bytes = new Uint8Array(buffer);
+	  if (bytes.length < FRAME_HEADER_SIZE + FRAME_CRC_SIZE) {
+		return this.rejectFrame('Frame too short');
+	  }
+	  
+	  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	  const length = view.getUint16(1, true);
+	  const crcOffset = FRAME_HEADER_SIZE + length;
+	  
+	  if (bytes.length !== crcOffset + FRAME_CRC_SIZE) {
+		return this.rejectFrame(`Frame length mismatch (header ${length}, got ${bytes.length - FRAME_HEADER_SIZE - FRAME_CRC_SIZE})`);
+	  }
+	  
+	  if (view.getUint16(crcOffset, true) !== crc16(bytes.subarray(0, crcOffset))) {
+		return this.rejectFrame('CRC mismatch');
+	  }
+	  
+	  frameStats.accepted++;
+	  return bytes.slice(FRAME_HEADER_SIZE, crcOffset).buffer;
+	}
+	
+	static rejectFrame(reason) {
+	  frameStats.rejected++;
+	  frameStats.lastRejectReason = reason;
+	  console.warn('[Protocol] Rejected frame:', reason);
+	  return null;
+	}
+	
+	static getFrameStats() {
+	  return { ...frameStats };
+	}
+	
+	static resetFrameStats() {
+	  frameStats.accepted = 0;
+	  frameStats.rejected = 0;
+	  frameStats.lastRejectReason = null;
+	}
+	
+	// Fragmentation - split messages that don't fit in a single BLE write
+	static fragment(data, maxSize) {
+	  const bytes = this.toBytes(data);
+	  
+	  // Messages that already fit go out unchanged so older firmware keeps working
+	  if (bytes.length <= maxSize) {
+		return [bytes];
+	  }
+	  
+	  const chunkSize = maxSize - FRAGMENT_HEADER_SIZE;
+	  if (chunkSize <= 0) {
+		throw new Error(`Write size too small to fragment (${maxSize} bytes)`);
+	  }
+	  
+	  const count = Math.ceil(bytes.length / chunkSize);
+	  if (count > 255) {
+		throw new Error(`Message too large to fragment (${bytes.length} bytes)`);
+	  }
+	  
+	  const messageId = nextFragmentId;
+	  nextFragmentId = (nextFragmentId + 1) & 0xFFFF;
+	  
+	  const fragments = [];
+	  for (let index = 0; index < count; index++) {
+		const chunk = bytes.subarray(index * chunkSize, (index + 1) * chunkSize);
+		const fragment = new Uint8Array(FRAGMENT_HEADER_SIZE + chunk.length);
+		const view = new DataView(fragment.buffer);
+		
+		// Write header
+		view.setUint8(0, FRAGMENT_MARKER);
+		view.setUint16(1, messageId, true);
+		view.setUint8(3, index);
+		view.setUint8(4, count);
+		
+		fragment.set(chunk, FRAGMENT_HEADER_SIZE);
+		fragments.push(fragment);
+	  }
+	  
+	  return fragments;
+	}
+	
+	static isFragment(bytes) {
+	  return bytes.length >= FRAGMENT_HEADER_SIZE && bytes[0] === FRAGMENT_MARKER;
+	}
+	
+	static parseFragment(bytes) {
+	  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	  
+	  return {
+		messageId: view.getUint16(1, true),
+		index: view.getUint8(3),
+		count: view.getUint8(4),
+		chunk: bytes.subarray(FRAGMENT_HEADER_SIZE),
+	  };
+	}
+	
+	// Largest single write for a negotiated MTU (ATT header takes 3 bytes)
+	static getMaxWriteSize(mtu) {
+	  return mtu - ATT_HEADER_SIZE;
+	}
+	
+	static toBytes(data) {
+	  if (typeof data === 'string') {
+		return this.encodeString(data);
+	  }
+	  return data instanceof Uint8Array ? data : new Uint8Array(data);
+	}
+	
+	// Handshake - sent right after connecting, answered with a caps notification
+	// Request:  {"ctl":"hello","v":1}
+	// Response: {"ctl":"caps","v":1,"enc":["json","binary"],"feat":["crc"],"types":[1,2,3],"rate":20,"max":512}
+	// With a secure session both sides add "sn", an 8-byte hex session nonce
+	// "ch" is the app's reliable channel id - see encodeReliable
+	static encodeHello(sessionNonce = null, channel = null) {
+	  const hello = { ctl: 'hello', v: PROTOCOL_VERSION };
+	  if (sessionNonce) {
+		hello.sn = sessionNonce;
+	  }
+	  if (channel !== null) {
+		hello.ch = channel;
+	  }
+	  return JSON.stringify(hello) + '\n';
+	}
+	
+	// Latency probe - firmware with the "echo" feature answers each one straight away
+	// Request:  {"ctl":"probe","seq":12}
+	// Response: {"ctl":"echo","seq":12,"dt":48213}
+	// "dt" is optional: the device clock (ms) when it handled the probe
+	static encodeProbe(seq) {
+	  return JSON.stringify({ ctl: 'probe', seq }) + '\n';
+	}
+	
+	// Firmware with the "ack" feature answers each reliable frame once it has taken the
+	// message, or refuses it with a reason:
+	//   {"ctl":"ack","seq":7}
+	//   {"ctl":"nack","seq":7,"err":"buffer full"}
+	// Sequence numbers already applied on the hello's channel ("ch") are ACKed again
+	// but not applied twice.
+	static encodeReliable(seq, data) {
+	  const bytes = this.toBytes(data);
+	  const frame = new Uint8Array(RELIABLE_HEADER_SIZE + bytes.length);
+	  frame[0] = RELIABLE_MARKER;
+	  new DataView(frame.buffer).setUint16(1, seq, true);
+	  frame.set(bytes, RELIABLE_HEADER_SIZE);
+	  return frame;
+	}
+	
+	// Control messages are JSON objects with a "ctl" field - anything else is data
+	static decodeControl(bytes) {
+	  if (!bytes.length || bytes[0] !== 0x7B) { // '{'
+		return null;
+	  }
+	  
+	  try {
+		const message = JSON.parse(this.decodeString(bytes).trim());
+		return typeof message?.ctl === 'string' ? message : null;
+	  } catch {
+		return null;
+	  }
+	}
+	
+	static parseCapabilities(message) {
+	  if (!message) {
+		return { ...LEGACY_CAPABILITIES };
+	  }
+	  
+	  return {
+		version: Number(message.v) || 0,
+		encodings: Array.isArray(message.enc) ? message.enc : ['json'],
+		features: Array.isArray(message.feat) ? message.feat : [],
+		messageTypes: Array.isArray(message.types) ? message.types : [],
+		maxMessageRate: message.rate || null,
+		maxPayloadSize: message.max || null,
+		sessionNonce: typeof message.sn === 'string' ? message.sn : null,
+	  };
+	}
+	
+	// Throws a ProtocolError when the firmware can't be talked to at all
+	static checkCapabilities(capabilities) {
+	  if (capabilities.version > PROTOCOL_VERSION) {
+		throw new ProtocolError(
+		  `Firmware uses protocol v${capabilities.version} but this app only supports up to v${PROTOCOL_VERSION}. Update the app.`
+		);
+	  }
+	  
+	  if (!capabilities.encodings.some(enc => ENCODINGS.includes(enc))) {
+		throw new ProtocolError(
+		  `Firmware encodings (${capabilities.encodings.join(', ') || 'none'}) are not supported by this app`
+		);
+	  }
+	}
+	
+	static supportsEncoding(capabilities, encoding) {
+	  return !!capabilities && capabilities.encodings.includes(encoding);
+	}
+	
+	static supportsFeature(capabilities, feature) {
+	  return !!capabilities && capabilities.features.includes(feature);
+	}
+	
+	// Use the preferred encoding when available, otherwise whatever the firmware speaks
+	static selectEncoding(capabilities, preferred = 'json') {
+	  if (this.supportsEncoding(capabilities, preferred)) {
+		return preferred;
+	  }
+	  return ENCODINGS.find(enc => this.supportsEncoding(capabilities, enc)) || 'json';
+	}
+	
+	static encode(data, encoding, { framed = false } = {}) {
+	  if (encoding === 'binary') {
+		return framed ? this.encodeFramed(data) : this.encodeBinary(data);
+	  }
+	  if (encoding === 'cbor') {
+		const buffer = this.encodeCbor(data);
+		return framed ? this.frameBinary(buffer) : buffer;
+	  }
+	  return this.encodeJson(data);
+	}
+	
 	// Message validation
 	static validateMessage(data) {
 	  if (!data) return false;
 	  
-	  // Add your validation rules here
-	  if (typeof data === 'object' && data.x !== undefined && data.y !== undefined) {
-		// Validate coordinate bounds
-		return typeof data.x === 'number' && typeof data.y === 'number' &&
-			   Math.abs(data.x) <= 32767 && Math.abs(data.y) <= 32767;
+	  // Validation rules live with each registered message type
+	  const type = this.findType(data);
+	  return type?.validate ? type.validate(data) : true;
+	}
+  }
+
+const isCoordinates = data =>
+	data !== null && typeof data === 'object' && data.x !== undefined && data.y !== undefined;
+
+// Coordinates are only valid if the active profile can represent them (or clamps).
+// z is optional (encoded as 0) but must be a finite number when given.
+const validateCoordinates = (data) => {
+	const values = [data.x, data.y, data.z ?? 0];
+	if (typeof data.x !== 'number' || typeof data.y !== 'number' || !Number.isFinite(values[2]) ||
+	  values.some(Number.isNaN)) {
+	  return false;
+	}
+	
+	const { min, max } = Protocol.coordinateRange();
+	return coordinateProfile.overflow === 'clamp' ||
+	  values.every(v => v >= min && v <= max);
+};
+
+// Registers the coordinate type for one profile - only matched while that profile is active
+const registerCoordinateType = (id) => {
+	const profile = Protocol.coordinateProfileFromTypeId(id);
+	const length = COORDINATE_WIDTHS[profile.width].bytes * 3;
+	
+	Protocol.registerType(id, {
+	  match: data => isCoordinates(data) && Protocol.coordinateTypeId() === id,
+	  encode: data => Protocol.encodeCoordinates(data.x, data.y, data.z, coordinateProfile),
+	  decode: (payload) => {
+		if (payload.length < length) {
+		  throw new ProtocolError('Coordinate payload truncated');
+		}
+		return Protocol.decodeCoordinates(payload, profile);
+	  },
+	  validate: validateCoordinates,
+	});
+};
+
+// Built-in message types
+// Delta coordinates come first so they win over absolute coordinates while enabled
+Protocol.registerType(DELTA_UPDATE, {
+	match: data => deltaEncoder.enabled && isCoordinates(data) && !Protocol.needsKeyframe(),
+	encode: (data, timestamp) => Protocol.encodeDeltaUpdate(data, timestamp),
+	decode: payload => Protocol.decodeDeltaUpdate(payload),
+	validate: validateCoordinates,
+	compact: true,
+});
+
+Protocol.registerType(DELTA_KEYFRAME, {
+	match: data => deltaEncoder.enabled && isCoordinates(data),
+	encode: (data, timestamp) => Protocol.encodeDeltaKeyframe(data, timestamp),
+	decode: payload => Protocol.decodeDeltaKeyframe(payload),
+	validate: validateCoordinates,
+	compact: true,
+});
+
+// Coordinate data - most common case
+registerCoordinateType(0x01);
+
+Protocol.registerType(0x02, {
+	// String message
+	match: data => typeof data === 'string',
+	encode: data => Protocol.encodeString(data),
+	decode: payload => Protocol.decodeString(payload),
+});
+
+Protocol.registerType(0x03, {
+	// Generic object - JSON as string, tried after every other type
+	match: data => data !== null && typeof data === 'object',
+	encode: data => Protocol.encodeString(JSON.stringify(data)),
+	decode: (payload) => {
+	  const str = Protocol.decodeString(payload);
+	  try {
+		return JSON.parse(str);
+	  } catch {
+		return str;
+	  }
+	},
+	fallback: true,
+});
+
+// Profiled coordinates - every Int16/Int32 scale and sign combination, plus Float32
+for (const width of ['int16', 'int32']) {
+	for (const signed of [true, false]) {
+	  for (let exponent = 0; exponent <= 7; exponent++) {
+		registerCoordinateType(Protocol.profiledCoordinateTypeId({ width, signed, scale: Math.pow(10, exponent) }));
+	  }
+	}
+}
+registerCoordinateType(Protocol.profiledCoordinateTypeId({ width: 'float32' }));
+
+// Reassembles fragmented notifications coming back from the ESP32
+export class FragmentReassembler {
+	constructor(timeout = 5000) {
+	  this.timeout = timeout;
+	  this.pending = new Map();
+	}
+	
+	// Returns the complete message, or null while fragments are still missing
+	push(bytes) {
+	  if (!Protocol.isFragment(bytes)) {
+		return bytes;
+	  }
+	  
+	  this.expire();
+	  
+	  const { messageId, index, count, chunk } = Protocol.parseFragment(bytes);
+	  if (count === 0 || index >= count) {
+		console.error('[Protocol] Invalid fragment header');
+		return null;
+	  }
+	  
+	  let entry = this.pending.get(messageId);
+	  if (!entry || entry.count !== count) {
+		entry = {
+		  count,
+		  chunks: new Array(count),
+		  received: 0,
+		  startedAt: Date.now(),
+		};
+		this.pending.set(messageId, entry);
+	  }
+	  
+	  // Ignore duplicates of a fragment we already have
+	  if (!entry.chunks[index]) {
+		entry.chunks[index] = chunk.slice();
+		entry.received++;
+	  }
+	  
+	  if (entry.received < count) {
+		return null;
 	  }
 	  
-	  return true;
+	  this.pending.delete(messageId);
+	  
+	  const totalLength = entry.chunks.reduce((sum, c) => sum + c.length, 0);
+	  const message = new Uint8Array(totalLength);
+	  let offset = 0;
+	  for (const c of entry.chunks) {
+		message.set(c, offset);
+		offset += c.length;
+	  }
+	  
+	  return message;
+	}
+	
+	expire(now = Date.now()) {
+	  for (const [messageId, entry] of this.pending) {
+		if (now - entry.startedAt > this.timeout) {
+		  console.warn(`[Protocol] Dropping incomplete message ${messageId}`);
+		  this.pending.delete(messageId);
+		}
+	  }
+	}
+	
+	reset() {
+	  this.pending.clear();
 	}
   }
\ No newline at end of file
@@ -0,0 +1,173 @@
+// reliableChannel.js
+// At-least-once delivery to one device, for firmware with the "ack" feature. Every
+// message carries a sequence number and stays pending until the firmware ACKs it. It
+// is written again, with the same number, when no ACK arrives in time or the firmware
+// NACKs it. The firmware applies each number once per channel and ACKs repeats
+// without applying them, so a resend after a lost ACK can't apply a message twice.
+//
+// Pending messages survive a dropped connection and are resent once the link is back.
+// Resent messages can overtake newer ones; firmware that cares orders by sequence.
+
+import { Protocol, ProtocolError } from './protocol';
+
+export class ReliableChannel {
+  constructor(config = {}) {
+    this.name = config.name || 'Reliable';
+    this.write = config.write; // async (data) => void, one write of a sequenced frame
+    // Told to the firmware in the hello. A new channel (e.g. after an app restart)
+    // tells it to forget the sequence numbers it has seen.
+    this.channel = config.channel ?? Math.floor(Math.random() * 0x10000);
+    
+    this.pending = new Map(); // seq -> { seq, data, frame, attempts, timer, nacked, resolve, reject }, oldest first
+    this.nextSeq = 0;
+    this.paused = true; // Until the link is up
+    this.stats = {
+      delivered: 0,
+      retransmitted: 0,
+      nacked: 0,
+      duplicates: 0,
+      failed: 0,
+    };
+    this.configure(config);
+  }
+  
+  configure({
+    timeout = 1000,   // ms to wait for an ACK before writing again
+    maxAttempts = 5,  // Writes per message before giving up
+  } = {}) {
+    this.timeout = timeout;
+    this.maxAttempts = maxAttempts;
+  }
+  
+  /**
+   * Sends a message and resolves true once the firmware has ACKed it. `data` may be a
+   * function returning it, called on the first write; resends repeat the same bytes.
+   * Rejects with a ProtocolError if the message can't be encoded or the firmware kept
+   * NACKing it, and with a plain Error if it never answered.
+   */
+  send(data) {
+    const seq = this.nextSeq;
+    this.nextSeq = (this.nextSeq + 1) % 0x10000;
+    
+    return new Promise((resolve, reject) => {
+      const entry = { seq, data, frame: null, attempts: 0, timer: null, nacked: null, resolve, reject };
+      this.pending.set(seq, entry);
+      if (!this.paused) {
+        this.transmit(entry);
+      }
+    });
+  }
+  
+  transmit(entry) {
+    if (entry.attempts >= this.maxAttempts) {
+      this.settle(entry, entry.nacked
+        ? new ProtocolError(`Device rejected message ${entry.seq}: ${entry.nacked}`)
+        : new Error(`${this.name}: no acknowledgement for message ${entry.seq} after ${entry.attempts} attempts`));
+      return;
+    }
+    
+    entry.attempts++;
+    if (entry.attempts > 1) {
+      this.stats.retransmitted++;
+    }
+    
+    this.write(() => {
+      if (!entry.frame) {
+        entry.frame = Protocol.encodeReliable(entry.seq, typeof entry.data === 'function' ? entry.data() : entry.data);
+      }
+      return entry.frame;
+    }).then(
+      () => this.awaitAck(entry),
+      (error) => {
+        // Unencodable or oversized messages would fail on every attempt
+        if (error instanceof ProtocolError) {
+          this.settle(entry, error);
+          return;
+        }
+        this.awaitAck(entry);
+      }
+    );
+  }
+  
+  // The ACK timer runs from when the write finishes, so time queued behind other
+  // writes doesn't count against it
+  awaitAck(entry) {
+    if (this.paused || this.pending.get(entry.seq) !== entry) return;
+    
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      this.transmit(entry);
+    }, this.timeout);
+  }
+  
+  ack(seq) {
+    const entry = this.pending.get(seq);
+    if (!entry) {
+      // Repeated for a resend, or arriving after we gave up
+      this.stats.duplicates++;
+      return;
+    }
+    this.settle(entry, null);
+  }
+  
+  // The firmware got the message but couldn't take it (e.g. its buffer was full).
+  // Resending straight away would likely meet the same full buffer, so the resend
+  // waits out the ACK timeout like any other.
+  nack(seq, reason) {
+    const entry = this.pending.get(seq);
+    if (!entry) return;
+    
+    this.stats.nacked++;
+    entry.nacked = reason || 'no reason given';
+    this.awaitAck(entry);
+  }
+  
+  settle(entry, error) {
+    clearTimeout(entry.timer);
+    this.pending.delete(entry.seq);
+    
+    if (error) {
+      this.stats.failed++;
+      entry.reject(error);
+    } else {
+      this.stats.delivered++;
+      entry.resolve(true);
+    }
+  }
+  
+  // Connection lost - pending messages wait for resume()
+  pause() {
+    this.paused = true;
+    this.pending.forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    });
+  }
+  
+  // Connection (re)established - pending messages are resent oldest first, each with
+  // a fresh set of attempts
+  resume() {
+    this.paused = false;
+    this.pending.forEach(entry => {
+      entry.attempts = 0;
+      this.transmit(entry);
+    });
+  }
+  
+  // Rejects everything pending, e.g. when the device is removed
+  clear(error = new Error(`${this.name} messages cancelled`)) {
+    this.pause();
+    
+    const pending = [...this.pending.values()];
+    this.pending.clear();
+    pending.forEach(entry => entry.reject(error));
+  }
+  
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.pending.size,
+    };
+  }
+}
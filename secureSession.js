@@ -0,0 +1,151 @@
+import { seal, open, hchacha20, KEY_SIZE, NONCE_SIZE, TAG_SIZE } from './chacha20poly1305';
+import { ProtocolError } from './protocol';
+
+// Sealed frame format:
+// [1 byte: 0xFC marker][4 bytes: counter][variable: ciphertext][16 bytes: Poly1305 tag]
+// Nonce is [4 bytes: direction][4 bytes: counter][4 bytes: zero] and the header is
+// authenticated as AAD. Each connection derives its own key as
+// HChaCha20(pre-shared key, app nonce || device nonce), so counters restart safely.
+const SEALED_MARKER = 0xFC;
+const SEALED_HEADER_SIZE = 5;
+const SESSION_NONCE_SIZE = 8;
+
+const TO_DEVICE = 0;
+const FROM_DEVICE = 1;
+
+export function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function hexToBytes(hex) {
+  if (typeof hex !== 'string' || hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+    throw new Error('Invalid hex string');
+  }
+  
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+function randomBytes(length) {
+  const bytes = new Uint8Array(length);
+  
+  // Hermes has no getRandomValues without a polyfill. The fallback only has to
+  // keep nonces unique - the device mixes in its own hardware-random nonce.
+  if (globalThis.crypto?.getRandomValues) {
+    globalThis.crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  return bytes;
+}
+
+export class SecureSession {
+  constructor(key, appNonce, deviceNonce) {
+    if (appNonce.length !== SESSION_NONCE_SIZE || deviceNonce.length !== SESSION_NONCE_SIZE) {
+      throw new ProtocolError('Secure session nonces must be 8 bytes');
+    }
+    
+    const input = new Uint8Array(SESSION_NONCE_SIZE * 2);
+    input.set(appNonce, 0);
+    input.set(deviceNonce, SESSION_NONCE_SIZE);
+    this.key = hchacha20(key, input);
+    
+    this.sendCounter = 0;
+    this.lastReceivedCounter = -1;
+    this.stats = {
+      sealed: 0,
+      opened: 0,
+      rejected: 0,
+      replayed: 0,
+    };
+  }
+  
+  // Pre-shared keys are 32 bytes written as 64 hex characters
+  static parseKey(hex) {
+    const key = hexToBytes(hex.trim());
+    if (key.length !== KEY_SIZE) {
+      throw new Error(`Device key must be ${KEY_SIZE * 2} hex characters`);
+    }
+    return key;
+  }
+  
+  static createNonce() {
+    return randomBytes(SESSION_NONCE_SIZE);
+  }
+  
+  static isSealed(bytes) {
+    return bytes.length >= SEALED_HEADER_SIZE + TAG_SIZE && bytes[0] === SEALED_MARKER;
+  }
+  
+  static nonceFor(direction, counter) {
+    const nonce = new Uint8Array(NONCE_SIZE);
+    const view = new DataView(nonce.buffer);
+    view.setUint32(0, direction, true);
+    view.setUint32(4, counter, true);
+    return nonce;
+  }
+  
+  seal(plaintext) {
+    if (this.sendCounter > 0xFFFFFFFF) {
+      throw new ProtocolError('Secure session exhausted, reconnect to rekey');
+    }
+    
+    const counter = this.sendCounter++;
+    const header = new Uint8Array(SEALED_HEADER_SIZE);
+    header[0] = SEALED_MARKER;
+    new DataView(header.buffer).setUint32(1, counter, true);
+    
+    const sealed = seal(this.key, SecureSession.nonceFor(TO_DEVICE, counter), plaintext, header);
+    
+    const frame = new Uint8Array(SEALED_HEADER_SIZE + sealed.length);
+    frame.set(header, 0);
+    frame.set(sealed, SEALED_HEADER_SIZE);
+    
+    this.stats.sealed++;
+    return frame;
+  }
+  
+  // Returns the plaintext, or null for forged, corrupted or replayed frames
+  open(frame) {
+    if (!SecureSession.isSealed(frame)) {
+      this.stats.rejected++;
+      console.warn('[Secure] Dropping unsealed frame');
+      return null;
+    }
+    
+    const header = frame.subarray(0, SEALED_HEADER_SIZE);
+    const counter = new DataView(frame.buffer, frame.byteOffset, frame.byteLength).getUint32(1, true);
+    
+    if (counter <= this.lastReceivedCounter) {
+      this.stats.replayed++;
+      console.warn('[Secure] Dropping replayed frame', counter);
+      return null;
+    }
+    
+    const plaintext = open(
+      this.key,
+      SecureSession.nonceFor(FROM_DEVICE, counter),
+      frame.subarray(SEALED_HEADER_SIZE),
+      header
+    );
+    
+    if (!plaintext) {
+      this.stats.rejected++;
+      console.warn('[Secure] Dropping frame that failed authentication');
+      return null;
+    }
+    
+    this.lastReceivedCounter = counter;
+    this.stats.opened++;
+    return plaintext;
+  }
+  
+  getStats() {
+    return { ...this.stats };
+  }
+}
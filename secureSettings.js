@@ -0,0 +1,25 @@
+// secureSettings.js
+import * as SecureStore from 'expo-secure-store';
+
+// Streams started in the background still need their credentials while the phone is locked
+const STORE_OPTIONS = {
+  keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+};
+
+/**
+ * Settings that are credentials (e.g. the stream access token), kept in the platform
+ * keystore (iOS Keychain, Android Keystore) instead of with the rest of the settings
+ * in AsyncStorage. Names must only use letters, digits, ".", "-" and "_".
+ */
+export async function loadSecureSetting(name) {
+  return (await SecureStore.getItemAsync(`settings.${name}`, STORE_OPTIONS)) || '';
+}
+
+// An empty value removes the entry
+export async function saveSecureSetting(name, value) {
+  if (value) {
+    await SecureStore.setItemAsync(`settings.${name}`, value, STORE_OPTIONS);
+  } else {
+    await SecureStore.deleteItemAsync(`settings.${name}`, STORE_OPTIONS);
+  }
+}
@@ -1,4 +1,20 @@
 import EventSource from 'react-native-sse';
+import { Protocol } from './protocol';
+import { ConnectionMachine } from './connectionMachine';
+import {
+  PACKET,
+  CONNACK_ERRORS,
+  MqttReader,
+  encodeConnect,
+  encodeSubscribe,
+  encodePublish,
+  encodePuback,
+  encodePingreq,
+  encodeDisconnect,
+  subackFailed,
+  topicMatches,
+  validateTopicFilter,
+} from './mqtt';
 
 export class StreamClient {
   constructor(config) {
@@ -6,58 +22,220 @@ export class StreamClient {
     this.onConnected = config.onConnected || (() => {});
     this.onDisconnected = config.onDisconnected || (() => {});
     this.onError = config.onError || (() => {});
+    this.onConnectionState = config.onConnectionState || (() => {});
     
     this.connection = null;
-    this.messageQueue = [];
-    this.isConnected = false;
-    this.reconnectTimer = null;
-    this.reconnectAttempts = 0;
+    this.isConnected = false; // Transport is open - the machine tracks the lifecycle
     this.config = null;
     this.url = null;
-    this.connectionType = null; // 'websocket' or 'sse'
+    this.connectionType = null; // 'websocket', 'sse', 'poll' or 'mqtt'
+    
+    // Ordered endpoints - index 0 is the primary, the rest are fallbacks
+    this.endpoints = [];
+    this.endpointIndex = 0;
+    this.endpointFailures = 0;
+    this.probeTimer = null;
+    this.isProbing = false;
+    
+    // Device -> server relay, buffered while upstream is down
+    this.relayQueue = [];
+    this.isFlushingRelay = false;
+    this.relayRetryTimer = null;
+    this.relayStats = { relayed: 0, dropped: 0 };
+    
+    // SSE resume and named events
+    this.lastEventId = null;
+    this.serverRetryDelay = null;
+    this.subscriptions = new Map(); // event type -> Set of handlers
+    
+    // Long polling
+    this.pollCursor = null;
+    this.pollInterval = 0;
+    
+    // MQTT over WebSocket
+    this.mqttReader = new MqttReader();
+    this.mqttPacketId = 0;
+    this.mqttInflight = new Map(); // packet id -> unacknowledged QoS 1 publish
+    this.mqttPendingSubscribes = new Map(); // packet id -> subscriptions
+    // Stable for this client, so persistent sessions survive reconnects
+    this.defaultClientId = `fov-${Math.random().toString(36).slice(2, 10)}`;
     
     // Performance tracking
     this.lastMessageTime = Date.now();
     this.messageRate = 0;
     this.messageRateTimer = null;
     this.messageCount = 0;
+    this.binaryMessageCount = 0;
+    
+    // Liveness watchdog
+    this.watchdogTimer = null;
+    this.lastPingTime = 0;
+    this.lastPongLatency = null;
+    this.isStalled = false;
+    
+    this.machine = new ConnectionMachine({
+      name: 'Stream',
+      attempt: (signal, { retry }) => this.attemptConnection(signal, retry),
+      onTransition: (event) => this.onConnectionState(event),
+    });
   }
   
-  async connect(url, config = {}) {
-    this.url = url;
+  // Accepts one URL or an ordered list of primary and fallback URLs. Throws straight
+  // away on bad URLs; otherwise resolves once connected, retrying with backoff.
+  connect(urls, config = {}) {
+    const endpoints = Array.isArray(urls) ? urls : [urls];
+    if (!endpoints.length) {
+      throw new Error('No stream URL configured');
+    }
+    
+    const invalid = endpoints.find(url => !/^(wss?|https?|poll\+https?|mqtt\+wss?):\/\//.test(url));
+    if (invalid) {
+      throw new Error(`Invalid URL scheme in ${invalid}. Use ws://, wss://, http://, https://, poll+https://, or mqtt+wss://`);
+    }
+    
+    // Always start from the primary - reconnects keep their place in the list
+    this.endpoints = endpoints;
+    this.endpointIndex = 0;
+    this.endpointFailures = 0;
+    
     this.config = {
       autoReconnect: true,
       reconnectDelay: 1000,
       maxReconnectDelay: 30000,
       maxReconnectAttempts: Infinity,
+      connectTimeout: 15000, // Abandon attempts that neither open nor fail
+      pingInterval: 15000, // WebSocket only, 0 disables
+      stallTimeout: 20000, // Silence before reporting "stalled"
+      idleTimeout: 45000,  // Silence before forcing a reconnect, 0 disables
+      binaryMode: 'decode', // 'decode' or 'passthrough' for binary WebSocket frames
+      failoverAttempts: 3, // Failures before moving to the next endpoint
+      primaryProbeInterval: 60000, // How often to check the primary while on a fallback
+      relayUrl: null, // Where device notifications are POSTed on SSE and long polling
+      relayRetryDelay: 5000,
+      httpTransport: 'sse', // How plain http(s) URLs are read: 'sse' or 'poll'
+      pollCursorParam: 'since',
+      pollMinInterval: 250, // Delay between polls while data is flowing
+      pollMaxInterval: 5000, // Upper bound as the interval backs off on empty polls
+      pollTimeout: 30000, // Long-poll servers must answer within this
       ...config,
+      // { headers, bearerToken, queryToken, queryParam, protocols }
+      auth: { queryParam: 'access_token', ...config.auth },
+      // { clientId, username, password, keepalive, cleanSession, subscriptions, publishTopic, publishQos }
+      mqtt: {
+        clientId: this.defaultClientId,
+        username: null,
+        password: null,
+        keepalive: 30, // Seconds, 0 disables
+        cleanSession: true,
+        subscriptions: [], // [{ topic, qos, kind }]
+        publishTopic: null, // Where relayed notifications are published
+        publishQos: 1,
+        ...config.mqtt,
+      },
     };
     
-    // Determine connection type from URL
+    if (endpoints.some(url => url.startsWith('mqtt+'))) {
+      const { subscriptions } = this.config.mqtt;
+      if (!subscriptions.length) {
+        throw new Error('MQTT endpoints need at least one topic subscription');
+      }
+      subscriptions.forEach(({ topic }) => validateTopicFilter(topic));
+    }
+    
+    this.machine.configure({
+      maxAttempts: this.config.maxReconnectAttempts + 1,
+      attemptTimeout: this.config.connectTimeout,
+      autoReconnect: this.config.autoReconnect,
+      delay: () => this.nextReconnectDelay(),
+    });
+    return this.machine.start();
+  }
+  
+  async attemptConnection(signal, retry) {
+    // Tokens often expire while we're offline - get a fresh one first
+    if (retry) {
+      try {
+        await this.refreshAuth();
+      } catch (error) {
+        console.error('[Stream] Token refresh failed:', error);
+        this.onError(error);
+        throw error;
+      }
+      if (signal.aborted) {
+        throw new Error('Connection cancelled');
+      }
+    }
+    
+    return this.connectEndpoint(signal);
+  }
+  
+  async connectEndpoint(signal) {
+    const url = this.endpoints[this.endpointIndex];
+    
+    // Event ids and cursors only mean something to the server that issued them
+    if (url !== this.url) {
+      this.lastEventId = null;
+      this.serverRetryDelay = null;
+      this.pollCursor = null;
+    }
+    this.url = url;
+    
+    const transport = this.resolveTransport(url);
+    this.connectionType = transport.type;
+    if (transport.type === 'websocket') {
+      return this.connectWebSocket(transport.url, signal);
+    } else if (transport.type === 'poll') {
+      return this.connectPolling(transport.url, signal);
+    } else if (transport.type === 'mqtt') {
+      return this.connectMqtt(transport.url, signal);
+    }
+    return this.connectSSE(transport.url, signal);
+  }
+  
+  // poll+https:// always long-polls - plain http(s) follows the httpTransport setting
+  resolveTransport(url) {
     if (url.startsWith('ws://') || url.startsWith('wss://')) {
-      this.connectionType = 'websocket';
-      return this.connectWebSocket(url);
-    } else if (url.startsWith('http://') || url.startsWith('https://')) {
-      this.connectionType = 'sse';
-      return this.connectSSE(url);
-    } else {
-      throw new Error('Invalid URL scheme. Use ws://, wss://, http://, or https://');
+      return { type: 'websocket', url };
+    }
+    if (url.startsWith('poll+')) {
+      return { type: 'poll', url: url.slice('poll+'.length) };
+    }
+    if (url.startsWith('mqtt+')) {
+      return { type: 'mqtt', url: url.slice('mqtt+'.length) };
     }
+    return { type: this.config.httpTransport === 'poll' ? 'poll' : 'sse', url };
   }
   
-  async connectWebSocket(url) {
+  handleOpen() {
+    this.isConnected = true;
+    this.endpointFailures = 0;
+    this.onConnected();
+    this.startMessageRateTracking();
+    this.startWatchdog();
+    this.startPrimaryProbe();
+    this.flushRelayQueue();
+  }
+  
+  async connectWebSocket(url, signal) {
     return new Promise((resolve, reject) => {
       try {
         console.log('[Stream] Connecting WebSocket to:', url);
         
-        this.connection = new WebSocket(url);
+        // React Native's WebSocket takes headers as a non-standard third argument
+        const { protocols } = this.config.auth;
+        this.connection = new WebSocket(
+          this.buildUrl(url),
+          protocols?.length ? protocols : undefined,
+          { headers: this.buildHeaders() }
+        );
+        
+        // Binary frames arrive as ArrayBuffers rather than Blobs
+        this.connection.binaryType = 'arraybuffer';
+        this.abortOnSignal(signal, reject);
         
         this.connection.onopen = () => {
           console.log('[Stream] WebSocket connected');
-          this.isConnected = true;
-          this.reconnectAttempts = 0;
-          this.onConnected();
-          this.startMessageRateTracking();
+          this.handleOpen();
           resolve();
         };
         
@@ -75,7 +253,10 @@ export class StreamClient {
         
         this.connection.onclose = (event) => {
           console.log('[Stream] WebSocket closed:', event.code, event.reason);
-          this.handleDisconnection();
+          if (!this.isConnected) {
+            reject(new Error(`WebSocket closed before opening (${event.code})`));
+          }
+          this.handleDisconnection(new Error(`WebSocket closed (${event.code})`));
         };
         
       } catch (error) {
@@ -85,38 +266,57 @@ export class StreamClient {
     });
   }
   
-  async connectSSE(url) {
+  async connectSSE(url, signal) {
     return new Promise((resolve, reject) => {
       try {
         console.log('[Stream] Connecting SSE to:', url);
         
-        this.connection = new EventSource(url, {
+        // Resume where we left off - the server replays anything newer than this id
+        const resumeHeaders = this.lastEventId ? { 'Last-Event-ID': this.lastEventId } : {};
+        if (this.lastEventId) {
+          console.log('[Stream] Resuming SSE from event:', this.lastEventId);
+        }
+        
+        this.connection = new EventSource(this.buildUrl(url), {
           headers: {
             'Accept': 'text/event-stream',
             'Cache-Control': 'no-cache',
+            ...resumeHeaders,
+            ...this.buildHeaders(),
           },
+          // We reconnect ourselves (with backoff and token refresh), so turn off
+          // the library's polling. This also means a non-zero interval came from retry:
+          pollingInterval: 0,
         });
+        this.abortOnSignal(signal, reject);
         
         this.connection.addEventListener('open', () => {
           console.log('[Stream] SSE connected');
-          this.isConnected = true;
-          this.reconnectAttempts = 0;
-          this.onConnected();
-          this.startMessageRateTracking();
+          this.handleOpen();
           resolve();
         });
         
         this.connection.addEventListener('message', (event) => {
+          this.trackEvent(event);
           this.handleMessage(event.data);
         });
         
+        for (const type of this.subscriptions.keys()) {
+          this.listenForEvent(type);
+        }
+        
+        // Servers keep idle streams alive with "event: ping" - comments never reach us
+        this.connection.addEventListener('ping', () => {
+          this.lastMessageTime = Date.now();
+        });
+        
         this.connection.addEventListener('error', (error) => {
           console.error('[Stream] SSE error:', error);
           this.onError(error);
           if (!this.isConnected) {
             reject(error);
           }
-          this.handleDisconnection();
+          this.handleDisconnection(error);
         });
         
       } catch (error) {
@@ -126,21 +326,355 @@ export class StreamClient {
     });
   }
   
-  handleMessage(data) {
+  // Last resort for networks that break both WebSockets and SSE. Each poll asks for
+  // messages after the cursor; the first successful poll counts as connected.
+  async connectPolling(url, signal) {
+    return new Promise((resolve, reject) => {
+      console.log('[Stream] Long polling:', url);
+      
+      const poller = {
+        closed: false,
+        timer: null,
+        controller: null,
+        close() {
+          this.closed = true;
+          clearTimeout(this.timer);
+          this.controller?.abort();
+        },
+      };
+      this.connection = poller;
+      this.pollInterval = this.config.pollMinInterval;
+      this.abortOnSignal(signal, reject);
+      
+      const poll = async () => {
+        let messages;
+        try {
+          messages = await this.fetchPoll(url, poller);
+        } catch (error) {
+          if (poller.closed) return;
+          
+          console.error('[Stream] Poll failed:', error);
+          this.onError(error);
+          if (!this.isConnected) {
+            reject(error);
+          }
+          this.handleDisconnection(error);
+          return;
+        }
+        if (poller.closed) return;
+        
+        if (!this.isConnected) {
+          console.log('[Stream] Long polling connected');
+          this.handleOpen();
+          resolve();
+        }
+        this.handlePolledMessages(messages);
+        
+        // Come straight back while data is flowing, back off while the feed is quiet
+        this.pollInterval = messages.length
+          ? this.config.pollMinInterval
+          : Math.min(this.pollInterval * 2, this.config.pollMaxInterval);
+        poller.timer = setTimeout(poll, this.pollInterval);
+      };
+      poll();
+    });
+  }
+  
+  async fetchPoll(url, poller) {
+    const { pollCursorParam, pollTimeout } = this.config;
+    
+    let target = this.buildUrl(url);
+    if (this.pollCursor !== null) {
+      const separator = target.includes('?') ? '&' : '?';
+      target += `${separator}${encodeURIComponent(pollCursorParam)}=${encodeURIComponent(this.pollCursor)}`;
+    }
+    
+    poller.controller = new AbortController();
+    const timer = setTimeout(() => poller.controller.abort(), pollTimeout);
     try {
-      // Update message rate tracking
-      this.messageCount++;
-      this.lastMessageTime = Date.now();
+      const response = await fetch(target, {
+        headers: { 'Accept': 'application/json', ...this.buildHeaders() },
+        signal: poller.controller.signal,
+      });
       
-      // Parse message if it's JSON
-      let parsedData = data;
+      if (response.status === 204) return [];
+      if (!response.ok) {
+        throw new Error(`Poll endpoint returned HTTP ${response.status}`);
+      }
+      return this.parsePollResponse(await response.json());
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  
+  // Responses are a list of messages or { messages, cursor }. Without a cursor,
+  // the last message's id is used.
+  parsePollResponse(body) {
+    const messages = Array.isArray(body) ? body : body?.messages;
+    if (!Array.isArray(messages)) {
+      throw new Error('Poll response must be a list of messages or { messages, cursor }');
+    }
+    
+    const cursor = body.cursor ?? messages[messages.length - 1]?.id;
+    if (cursor !== undefined && cursor !== null) {
+      this.pollCursor = String(cursor);
+    }
+    return messages;
+  }
+  
+  handlePolledMessages(messages) {
+    // Even an empty poll proves the endpoint is alive
+    this.lastMessageTime = Date.now();
+    
+    for (const message of messages) {
+      try {
+        this.messageCount++;
+        this.onMessage(message);
+      } catch (error) {
+        console.error('[Stream] Error handling message:', error);
+        this.onError(error);
+      }
+    }
+  }
+  
+  // MQTT 3.1.1 over WebSocket. The socket opening isn't enough - the broker has to
+  // accept the CONNECT before the stream counts as connected.
+  async connectMqtt(url, signal) {
+    return new Promise((resolve, reject) => {
       try {
-        parsedData = JSON.parse(data);
-      } catch {
-        // Not JSON, use as-is
+        console.log('[Stream] Connecting MQTT to:', url);
+        
+        this.connection = new WebSocket(this.buildUrl(url), ['mqtt'], { headers: this.buildHeaders() });
+        this.connection.binaryType = 'arraybuffer';
+        this.mqttReader.reset();
+        this.abortOnSignal(signal, reject);
+        
+        this.connection.onopen = () => {
+          const { clientId, username, password, keepalive, cleanSession } = this.config.mqtt;
+          this.sendMqtt(encodeConnect({ clientId, username, password, keepalive, cleanSession }));
+        };
+        
+        this.connection.onmessage = (event) => {
+          let packets;
+          try {
+            packets = this.mqttReader.push(new Uint8Array(event.data));
+          } catch (error) {
+            console.error('[Stream] Malformed MQTT stream:', error);
+            this.onError(error);
+            this.connection?.close();
+            return;
+          }
+          
+          for (const packet of packets) {
+            if (packet.type !== PACKET.CONNACK) {
+              this.handleMqttPacket(packet);
+              continue;
+            }
+            
+            if (packet.returnCode !== 0) {
+              const reason = CONNACK_ERRORS[packet.returnCode] || `code ${packet.returnCode}`;
+              const error = new Error(`MQTT broker refused connection: ${reason}`);
+              this.onError(error);
+              reject(error);
+              this.connection?.close();
+              return;
+            }
+            
+            console.log(`[Stream] MQTT connected (${packet.sessionPresent ? 'resumed session' : 'new session'})`);
+            this.subscribeMqtt();
+            this.resendMqttInflight(packet.sessionPresent);
+            this.handleOpen();
+            resolve();
+          }
+        };
+        
+        this.connection.onerror = (error) => {
+          console.error('[Stream] MQTT socket error:', error);
+          this.onError(error);
+          if (!this.isConnected) {
+            reject(error);
+          }
+        };
+        
+        this.connection.onclose = (event) => {
+          console.log('[Stream] MQTT socket closed:', event.code, event.reason);
+          if (!this.isConnected) {
+            reject(new Error(`MQTT socket closed before the broker accepted (${event.code})`));
+          }
+          this.handleDisconnection(new Error(`MQTT socket closed (${event.code})`));
+        };
+        
+      } catch (error) {
+        console.error('[Stream] Failed to create MQTT socket:', error);
+        reject(error);
+      }
+    });
+  }
+  
+  sendMqtt(bytes) {
+    this.connection.send(bytes.buffer);
+  }
+  
+  nextMqttPacketId() {
+    // Packet ids are 1-65535
+    this.mqttPacketId = (this.mqttPacketId % 0xFFFF) + 1;
+    return this.mqttPacketId;
+  }
+  
+  // Re-sent on every connect - harmless on a resumed session, required on a clean one
+  subscribeMqtt() {
+    const { subscriptions } = this.config.mqtt;
+    const packetId = this.nextMqttPacketId();
+    this.mqttPendingSubscribes.set(packetId, subscriptions);
+    this.sendMqtt(encodeSubscribe(packetId, subscriptions));
+  }
+  
+  // QoS 1 publishes the broker never acknowledged go out again, flagged as duplicates
+  // when the broker still has our session
+  resendMqttInflight(sessionPresent) {
+    for (const [packetId, { topic, payload }] of this.mqttInflight) {
+      this.sendMqtt(encodePublish({ topic, payload, qos: 1, packetId, dup: sessionPresent }));
+    }
+  }
+  
+  handleMqttPacket(packet) {
+    // Any packet from the broker, including PINGRESP, proves the connection is alive
+    this.lastMessageTime = Date.now();
+    
+    switch (packet.type) {
+      case PACKET.PUBLISH:
+        // Acknowledge first - a handler error shouldn't make the broker redeliver forever
+        if (packet.qos === 1) {
+          this.sendMqtt(encodePuback(packet.packetId));
+        }
+        this.handleMqttPublish(packet);
+        break;
+      
+      case PACKET.PUBACK:
+        this.mqttInflight.delete(packet.packetId);
+        break;
+      
+      case PACKET.SUBACK: {
+        const subscriptions = this.mqttPendingSubscribes.get(packet.packetId) || [];
+        this.mqttPendingSubscribes.delete(packet.packetId);
+        packet.returnCodes.forEach((code, i) => {
+          if (subackFailed(code)) {
+            const topic = subscriptions[i]?.topic;
+            console.error('[Stream] MQTT broker refused subscription:', topic);
+            this.onError(new Error(`MQTT broker refused subscription to ${topic}`));
+          }
+        });
+        break;
       }
       
+      case PACKET.PINGRESP:
+        this.lastPongLatency = Date.now() - this.lastPingTime;
+        break;
+      
+      default:
+        console.warn('[Stream] Ignoring MQTT packet type', packet.type);
+    }
+  }
+  
+  handleMqttPublish({ topic, payload }) {
+    try {
+      const data = this.parseMessage(Protocol.decodeString(payload));
+      
+      // The first matching subscription names the kind of message this topic carries
+      const kind = this.config.mqtt.subscriptions.find(sub => topicMatches(sub.topic, topic))?.kind;
+      
+      this.messageCount++;
+      this.onMessage(this.tagMessageKind(data, kind));
+    } catch (error) {
+      console.error(`[Stream] Error handling MQTT message on ${topic}:`, error);
+      this.onError(error);
+    }
+  }
+  
+  // The kind becomes the message type, which mappings and queue policies key on
+  tagMessageKind(data, kind) {
+    if (!kind) return data;
+    if (data !== null && typeof data === 'object' && !Array.isArray(data)) {
+      return { ...data, type: kind };
+    }
+    return { type: kind, value: data };
+  }
+  
+  publishMqtt(data) {
+    const { publishTopic, publishQos } = this.config.mqtt;
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    
+    const packetId = publishQos > 0 ? this.nextMqttPacketId() : 0;
+    if (publishQos > 0) {
+      this.mqttInflight.set(packetId, { topic: publishTopic, payload });
+    }
+    this.sendMqtt(encodePublish({ topic: publishTopic, payload, qos: publishQos, packetId }));
+  }
+  
+  // Stopping or timing out an attempt closes its half-open connection
+  abortOnSignal(signal, reject) {
+    if (!signal) return;
+    
+    const connection = this.connection;
+    signal.addEventListener('abort', () => {
+      if (this.connection !== connection || this.isConnected) return;
+      
+      this.detachConnection();
+      connection.close();
+      this.connection = null;
+      reject(new Error('Connection cancelled'));
+    });
+  }
+  
+  buildHeaders() {
+    const { headers, bearerToken } = this.config.auth;
+    return {
+      ...headers,
+      ...(bearerToken ? { 'Authorization': `Bearer ${bearerToken}` } : {}),
+    };
+  }
+  
+  // Browsers and some proxies can't set headers on upgrades, so tokens can ride in the URL
+  buildUrl(url) {
+    const { queryToken, queryParam } = this.config.auth;
+    if (!queryToken) return url;
+    
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}${encodeURIComponent(queryParam)}=${encodeURIComponent(queryToken)}`;
+  }
+  
+  // The refresh callback may return a new token string or an object of auth fields
+  async refreshAuth() {
+    if (!this.config.refreshToken) return;
+    
+    const refreshed = await this.config.refreshToken({ ...this.config.auth });
+    if (!refreshed) return;
+    
+    const auth = this.config.auth;
+    if (typeof refreshed === 'string') {
+      if (auth.queryToken) {
+        auth.queryToken = refreshed;
+      }
+      if (auth.bearerToken || !auth.queryToken) {
+        auth.bearerToken = refreshed;
+      }
+    } else {
+      Object.assign(auth, refreshed);
+    }
+  }
+  
+  handleMessage(data) {
+    try {
+      if (data instanceof ArrayBuffer) {
+        this.handleBinaryMessage(data);
+        return;
+      }
+      
+      const parsedData = this.parseMessage(data);
+      if (this.handlePong(parsedData)) return;
+      
       // Call message handler
+      this.messageCount++;
       this.onMessage(parsedData);
       
     } catch (error) {
@@ -149,66 +683,153 @@ export class StreamClient {
     }
   }
   
-  handleDisconnection() {
+  // Binary frames are Protocol messages or binary batches. In passthrough mode they're
+  // already in the device's wire format, so onMessage gets the ArrayBuffer untouched.
+  handleBinaryMessage(buffer) {
+    this.lastMessageTime = Date.now();
+    this.messageCount++;
+    this.binaryMessageCount++;
+    
+    if (this.config.binaryMode === 'passthrough') {
+      this.onMessage(buffer);
+      return;
+    }
+    
+    const messages = Protocol.isBatch(buffer)
+      ? Protocol.parseBatch(buffer, 'binary')
+      : [Protocol.decodeBinary(buffer)].filter(Boolean);
+    
+    messages.forEach(message => this.onMessage(message.data));
+  }
+  
+  handleNamedEvent(type, data) {
+    const handlers = this.subscriptions.get(type);
+    if (!handlers?.size) return;
+    
+    try {
+      const parsedData = this.parseMessage(data);
+      this.messageCount++;
+      handlers.forEach(handler => handler(parsedData, type));
+    } catch (error) {
+      console.error(`[Stream] Error handling ${type} event:`, error);
+      this.onError(error);
+    }
+  }
+  
+  parseMessage(data) {
+    // Any inbound traffic proves the connection is alive
+    this.lastMessageTime = Date.now();
+    
+    // Parse message if it's JSON
+    try {
+      return JSON.parse(data);
+    } catch {
+      // Not JSON, use as-is
+      return data;
+    }
+  }
+  
+  // Remember the last id and retry: value the server sent for the next reconnect
+  trackEvent(event) {
+    if (event.lastEventId !== undefined) {
+      this.lastEventId = event.lastEventId;
+    }
+    
+    const retry = this.connection?.interval;
+    if (retry > 0 && retry !== this.serverRetryDelay) {
+      console.log(`[Stream] Server requested ${retry}ms reconnect delay`);
+      this.serverRetryDelay = retry;
+    }
+  }
+  
+  listenForEvent(type) {
+    this.connection.addEventListener(type, (event) => {
+      this.trackEvent(event);
+      this.handleNamedEvent(type, event.data);
+    });
+  }
+  
+  // Named SSE events (event: position) go to subscribers instead of onMessage.
+  // Returns a function that removes the handler.
+  subscribe(type, handler) {
+    if (['open', 'message', 'error', 'close'].includes(type)) {
+      throw new Error(`Cannot subscribe to reserved event type "${type}"`);
+    }
+    
+    if (!this.subscriptions.has(type)) {
+      this.subscriptions.set(type, new Set());
+      
+      // Already connected - start listening now rather than on the next connect
+      if (this.connectionType === 'sse' && this.connection) {
+        this.listenForEvent(type);
+      }
+    }
+    this.subscriptions.get(type).add(handler);
+    
+    return () => {
+      this.subscriptions.get(type)?.delete(handler);
+    };
+  }
+  
+  handleDisconnection(error = null) {
     this.isConnected = false;
     this.stopMessageRateTracking();
+    this.stopWatchdog();
+    this.stopPrimaryProbe();
     this.onDisconnected();
     
     // Clear existing connection
     if (this.connection) {
-      if (this.connectionType === 'websocket') {
+      if (this.connectionType === 'websocket' || this.connectionType === 'mqtt') {
         this.connection.close();
-      } else if (this.connectionType === 'sse') {
+      } else if (this.connectionType === 'sse' || this.connectionType === 'poll') {
         this.connection.close();
       }
       this.connection = null;
     }
     
-    // Auto-reconnect if configured
-    if (this.config?.autoReconnect && this.reconnectAttempts < this.config.maxReconnectAttempts) {
-      this.scheduleReconnect();
-    }
+    // Reconnects with backoff if configured. Failed attempts are handled by the machine.
+    this.machine.connectionLost(error);
   }
   
-  scheduleReconnect() {
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
+  // Move down the list once this endpoint has failed enough times in a row
+  nextReconnectDelay() {
+    this.endpointFailures++;
+    if (this.endpoints.length > 1 && this.endpointFailures >= this.config.failoverAttempts) {
+      this.endpointIndex = (this.endpointIndex + 1) % this.endpoints.length;
+      this.endpointFailures = 0;
+      console.log('[Stream] Failing over to:', this.endpoints[this.endpointIndex]);
     }
     
-    const delay = Math.min(
-      this.config.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+    // An SSE server's retry: field replaces our configured base delay
+    const baseDelay = this.serverRetryDelay ?? this.config.reconnectDelay;
+    return Math.min(
+      baseDelay * Math.pow(2, Math.max(0, this.endpointFailures - 1)),
       this.config.maxReconnectDelay
     );
-    
-    console.log(`[Stream] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts + 1})`);
-    
-    this.reconnectTimer = setTimeout(() => {
-      this.reconnectAttempts++;
-      this.connect(this.url, this.config).catch(error => {
-        console.error('[Stream] Reconnection failed:', error);
-      });
-    }, delay);
   }
   
   disconnect() {
     console.log('[Stream] Disconnecting...');
     
-    // Cancel reconnection
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
-      this.reconnectTimer = null;
-    }
+    // Cancel the attempt in flight and any pending reconnection
+    this.machine.stop();
     
-    // Disable auto-reconnect
-    if (this.config) {
-      this.config.autoReconnect = false;
+    // Queued notifications stay buffered for the next connection
+    if (this.relayRetryTimer) {
+      clearTimeout(this.relayRetryTimer);
+      this.relayRetryTimer = null;
     }
     
     // Close connection
     if (this.connection) {
-      if (this.connectionType === 'websocket' && this.connection.readyState === WebSocket.OPEN) {
+      if (this.connectionType === 'mqtt' && this.connection.readyState === WebSocket.OPEN) {
+        // A clean DISCONNECT tells the broker this wasn't a network failure
+        this.sendMqtt(encodeDisconnect());
         this.connection.close(1000, 'User disconnect');
-      } else if (this.connectionType === 'sse') {
+      } else if (this.connectionType === 'websocket' && this.connection.readyState === WebSocket.OPEN) {
+        this.connection.close(1000, 'User disconnect');
+      } else if (this.connectionType === 'sse' || this.connectionType === 'poll') {
         this.connection.close();
       }
       this.connection = null;
@@ -216,13 +837,20 @@ export class StreamClient {
     
     this.isConnected = false;
     this.stopMessageRateTracking();
+    this.stopWatchdog();
+    this.stopPrimaryProbe();
     this.onDisconnected();
   }
   
+  // WebSocket, or MQTT with a publish topic
+  canSend() {
+    return this.connectionType === 'websocket' ||
+      (this.connectionType === 'mqtt' && !!this.config.mqtt.publishTopic);
+  }
+  
   send(data) {
-    // Only for WebSocket connections
-    if (this.connectionType !== 'websocket') {
-      console.warn('[Stream] Cannot send data over SSE connection');
+    if (!this.canSend()) {
+      console.warn(`[Stream] Cannot send data over ${this.connectionType} connection`);
       return false;
     }
     
@@ -232,6 +860,11 @@ export class StreamClient {
     }
     
     try {
+      if (this.connectionType === 'mqtt') {
+        this.publishMqtt(data);
+        return true;
+      }
+      
       const message = typeof data === 'string' ? data : JSON.stringify(data);
       this.connection.send(message);
       return true;
@@ -242,32 +875,87 @@ export class StreamClient {
     }
   }
   
-  // Message queue management for offline/disconnected periods
-  queueMessage(message) {
-    // Limit queue size to prevent memory issues
-    const MAX_QUEUE_SIZE = 1000;
+  // Relay - device notifications go back upstream over the WebSocket, or as
+  // HTTP POSTs to relayUrl when the stream is SSE or long polling (both receive-only)
+  relay(message) {
+    const MAX_RELAY_QUEUE_SIZE = 500;
     
-    if (this.messageQueue.length >= MAX_QUEUE_SIZE) {
-      // Remove oldest message
-      this.messageQueue.shift();
+    if (this.relayQueue.length >= MAX_RELAY_QUEUE_SIZE) {
+      this.relayQueue.shift();
+      this.relayStats.dropped++;
     }
+    this.relayQueue.push(message);
     
-    this.messageQueue.push({
-      data: message,
-      timestamp: Date.now(),
-    });
+    this.flushRelayQueue();
   }
   
-  getQueuedMessages() {
-    return this.messageQueue.map(m => m.data);
+  canRelay() {
+    if (!this.isConnected) return false;
+    return this.canSend() || !!this.config.relayUrl;
+  }
+  
+  async flushRelayQueue() {
+    if (this.isFlushingRelay || !this.relayQueue.length || !this.canRelay()) return;
+    this.isFlushingRelay = true;
+    
+    try {
+      while (this.relayQueue.length && this.canRelay()) {
+        let result;
+        if (this.canSend()) {
+          result = this.send(this.relayQueue[0]) ? 'sent' : 'retry';
+        } else {
+          result = await this.postRelay(this.relayQueue[0]);
+        }
+        
+        if (result === 'retry') {
+          this.scheduleRelayRetry();
+          break;
+        }
+        
+        this.relayQueue.shift();
+        this.relayStats[result === 'sent' ? 'relayed' : 'dropped']++;
+      }
+    } finally {
+      this.isFlushingRelay = false;
+    }
   }
   
-  clearQueue() {
-    this.messageQueue = [];
+  // Returns 'sent', 'dropped', or 'retry' when the message should stay queued
+  async postRelay(message) {
+    try {
+      const response = await fetch(this.config.relayUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.buildHeaders(),
+        },
+        body: JSON.stringify(message),
+      });
+      
+      if (response.ok) return 'sent';
+      
+      // Other client errors won't succeed on retry - drop rather than block the queue
+      if (response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status)) {
+        console.error('[Stream] Relay endpoint rejected message:', response.status);
+        this.onError(new Error(`Relay endpoint rejected message (HTTP ${response.status})`));
+        return 'dropped';
+      }
+      
+      throw new Error(`Relay endpoint returned HTTP ${response.status}`);
+    } catch (error) {
+      console.error('[Stream] Relay POST failed:', error);
+      this.onError(error);
+      return 'retry';
+    }
   }
   
-  getQueueSize() {
-    return this.messageQueue.length;
+  scheduleRelayRetry() {
+    if (this.relayRetryTimer) return;
+    
+    this.relayRetryTimer = setTimeout(() => {
+      this.relayRetryTimer = null;
+      this.flushRelayQueue();
+    }, this.config.relayRetryDelay);
   }
   
   // Performance monitoring
@@ -287,17 +975,216 @@ export class StreamClient {
     this.messageRate = 0;
   }
   
+  // Liveness watchdog - a half-open socket looks connected but never delivers anything
+  startWatchdog() {
+    this.stopWatchdog();
+    this.lastMessageTime = Date.now();
+    this.lastPingTime = Date.now();
+    this.isStalled = false;
+    
+    this.watchdogTimer = setInterval(() => this.checkLiveness(), 1000);
+  }
+  
+  stopWatchdog() {
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+    this.isStalled = false;
+  }
+  
+  checkLiveness() {
+    const now = Date.now();
+    const idle = now - this.lastMessageTime;
+    const { pingInterval, stallTimeout, idleTimeout } = this.config;
+    
+    if (this.connectionType === 'websocket' && pingInterval && now - this.lastPingTime >= pingInterval) {
+      this.lastPingTime = now;
+      this.send({ type: 'ping', ts: now });
+    }
+    
+    // MQTT has its own ping - sent often enough for both the broker's keepalive and our idle timeout
+    if (this.connectionType === 'mqtt') {
+      const interval = Math.min(this.config.mqtt.keepalive * 1000 || Infinity, pingInterval || Infinity);
+      if (now - this.lastPingTime >= interval) {
+        this.lastPingTime = now;
+        this.sendMqtt(encodePingreq());
+      }
+    }
+    
+    const stalled = idle >= stallTimeout;
+    if (stalled && !this.isStalled) {
+      console.warn(`[Stream] No data for ${idle}ms, connection stalled`);
+    }
+    this.isStalled = stalled;
+    
+    if (idleTimeout && idle >= idleTimeout) {
+      this.forceReconnect(`No data for ${idle}ms`);
+    }
+  }
+  
+  // Servers answer {"type":"ping","ts":...} with {"type":"pong","ts":...}
+  handlePong(data) {
+    if (data?.type !== 'pong') return false;
+    
+    if (typeof data.ts === 'number') {
+      this.lastPongLatency = Date.now() - data.ts;
+    }
+    return true;
+  }
+  
+  forceReconnect(reason) {
+    console.warn('[Stream] Tearing down dead connection:', reason);
+    
+    // A half-open socket may never fire onclose - detach so it can't report twice
+    this.detachConnection();
+    
+    const error = new Error(`Stream stalled: ${reason}`);
+    this.onError(error);
+    this.handleDisconnection(error);
+  }
+  
+  detachConnection() {
+    if (!this.connection) return;
+    
+    if (this.connectionType === 'websocket' || this.connectionType === 'mqtt') {
+      this.connection.onopen = null;
+      this.connection.onmessage = null;
+      this.connection.onerror = null;
+      this.connection.onclose = null;
+    } else if (this.connectionType === 'sse') {
+      this.connection.removeAllEventListeners();
+    } else if (this.connectionType === 'poll') {
+      this.connection.close();
+    }
+  }
+  
+  // Failback - while on a fallback endpoint, check whether the primary is back
+  startPrimaryProbe() {
+    this.stopPrimaryProbe();
+    if (this.endpointIndex === 0 || !this.config.primaryProbeInterval) return;
+    
+    this.probeTimer = setInterval(() => this.probePrimary(), this.config.primaryProbeInterval);
+  }
+  
+  stopPrimaryProbe() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+  
+  async probePrimary() {
+    if (this.isProbing) return;
+    this.isProbing = true;
+    
+    try {
+      const primary = this.endpoints[0];
+      const reachable = await this.probeEndpoint(primary);
+      
+      // Still on a fallback and nobody disconnected while we were probing
+      if (reachable && this.isConnected && this.endpointIndex !== 0) {
+        console.log('[Stream] Primary is back, failing back to:', primary);
+        this.switchEndpoint(0);
+      }
+    } finally {
+      this.isProbing = false;
+    }
+  }
+  
+  // Opens a throwaway connection and reports whether the server accepted it
+  probeEndpoint(endpoint, timeout = 5000) {
+    const { type, url } = this.resolveTransport(endpoint);
+    
+    return new Promise((resolve) => {
+      let timer;
+      let cleanup;
+      let done = false;
+      const finish = (reachable) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        cleanup();
+        resolve(reachable);
+      };
+      
+      if (type === 'websocket' || type === 'mqtt') {
+        const protocols = type === 'mqtt' ? ['mqtt'] : this.config.auth.protocols;
+        const socket = new WebSocket(
+          this.buildUrl(url),
+          protocols?.length ? protocols : undefined,
+          { headers: this.buildHeaders() }
+        );
+        cleanup = () => {
+          socket.onopen = socket.onerror = socket.onclose = null;
+          socket.close();
+        };
+        socket.onopen = () => finish(true);
+        socket.onerror = () => finish(false);
+        socket.onclose = () => finish(false);
+      } else {
+        // Headers are enough - abort before the event stream or long poll body arrives
+        const controller = new AbortController();
+        cleanup = () => controller.abort();
+        fetch(this.buildUrl(url), {
+          headers: {
+            'Accept': type === 'poll' ? 'application/json' : 'text/event-stream',
+            ...this.buildHeaders(),
+          },
+          signal: controller.signal,
+        })
+          .then(response => finish(response.ok))
+          .catch(() => finish(false));
+      }
+      
+      timer = setTimeout(() => finish(false), timeout);
+    });
+  }
+  
+  switchEndpoint(index) {
+    this.detachConnection();
+    this.connection?.close();
+    this.connection = null;
+    
+    this.isConnected = false;
+    this.stopMessageRateTracking();
+    this.stopWatchdog();
+    this.stopPrimaryProbe();
+    
+    this.endpointIndex = index;
+    this.endpointFailures = 0;
+    this.machine.start().catch(error => {
+      console.error('[Stream] Failed to switch endpoint:', error);
+    });
+  }
+  
   getMessageRate() {
     return this.messageRate;
   }
   
+  // The machine's state, or 'stalled' while connected but silent
+  getConnectionState() {
+    const state = this.machine.getState();
+    return state === 'connected' && this.isStalled ? 'stalled' : state;
+  }
+  
   getConnectionStatus() {
     return {
+      state: this.getConnectionState(),
       connected: this.isConnected,
       type: this.connectionType,
-      reconnectAttempts: this.reconnectAttempts,
+      endpoint: this.url,
+      endpointIndex: this.endpointIndex,
+      endpointCount: this.endpoints.length,
+      reconnectAttempts: this.machine.getStatus().attempt,
       messageRate: this.messageRate,
-      queueSize: this.messageQueue.length,
+      lastEventId: this.lastEventId,
+      idleTime: this.isConnected ? Date.now() - this.lastMessageTime : null,
+      pingLatency: this.lastPongLatency,
+      binaryMessages: this.binaryMessageCount,
+      relayQueueSize: this.relayQueue.length,
+      relayed: this.relayStats.relayed,
+      relayDropped: this.relayStats.dropped,
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,106 @@
+// test_cbor.mjs
+// Encoding and decoding of the CBOR wire format, including bytes a device could get
+// wrong. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCbor, decodeCbor } from './cbor.js';
+
+const hex = value => Uint8Array.from(value.replace(/\s+/g, '').match(/../g) || [], byte => parseInt(byte, 16));
+const toHex = bytes => Buffer.from(bytes).toString('hex');
+
+test('encodes the RFC 8949 examples', () => {
+  const examples = [
+    [0, '00'],
+    [23, '17'],
+    [24, '1818'],
+    [1000, '1903e8'],
+    [1000000, '1a000f4240'],
+    [1000000000000, '1b000000e8d4a51000'],
+    [-1, '20'],
+    [-1000, '3903e7'],
+    [1.5, 'fa3fc00000'],
+    [1.1, 'fb3ff199999999999a'],
+    [false, 'f4'],
+    [true, 'f5'],
+    [null, 'f6'],
+    [undefined, 'f7'],
+    ['', '60'],
+    ['IETF', '6449455446'],
+    ['ü', '62c3bc'],
+    [new Uint8Array([1, 2, 3, 4]), '4401020304'],
+    [[1, [2, 3], [4, 5]], '8301820203820405'],
+    [{ a: 1, b: [2, 3] }, 'a26161016162820203'],
+  ];
+  
+  for (const [value, expected] of examples) {
+    assert.equal(toHex(encodeCbor(value)), expected, `encoding ${JSON.stringify(value)}`);
+  }
+});
+
+test('round-trips a coordinate message', () => {
+  const message = {
+    type: 'position',
+    x: 12.5,
+    y: -3.25,
+    z: 0.1,
+    id: 300,
+    tags: ['ball', 'home'],
+    meta: { seq: 4294967296, ok: true, note: null },
+    raw: new Uint8Array([0, 255]),
+  };
+  
+  assert.deepEqual(decodeCbor(encodeCbor(message)), message);
+});
+
+test('encodes like JSON.stringify: toJSON is honoured and undefined members skipped', () => {
+  const value = { when: new Date(0), skipped: undefined };
+  
+  assert.deepEqual(decodeCbor(encodeCbor(value)), { when: '1970-01-01T00:00:00.000Z' });
+});
+
+test('decodes half-precision floats from firmware', () => {
+  assert.equal(decodeCbor(hex('f93e00')), 1.5);
+  assert.equal(decodeCbor(hex('f90001')), 5.960464477539063e-8);
+  assert.equal(decodeCbor(hex('f97c00')), Infinity);
+  assert.equal(decodeCbor(hex('f9fc00')), -Infinity);
+  assert.ok(Number.isNaN(decodeCbor(hex('f97e00'))));
+});
+
+test('a "__proto__" key decodes as a plain key', () => {
+  const bytes = encodeCbor(JSON.parse('{"__proto__": {"x": 1}, "y": 2}'));
+  assert.equal(toHex(bytes), 'a2695f5f70726f746f5f5fa1617801617902');
+  
+  const decoded = decodeCbor(bytes);
+  assert.equal(Object.getPrototypeOf(decoded), Object.prototype);
+  assert.equal(decoded.x, undefined);
+  assert.deepEqual(Object.keys(decoded), ['__proto__', 'y']);
+  assert.deepEqual(Object.getOwnPropertyDescriptor(decoded, '__proto__').value, { x: 1 });
+  assert.equal({}.x, undefined);
+});
+
+test('rejects malformed input', () => {
+  const cases = [
+    ['', /truncated/],
+    ['19 01', /truncated/],                  // uint16 missing a byte
+    ['63 61 62', /truncated/],               // 3-byte string, 2 bytes present
+    ['82 01', /truncated/],                  // array of 2, 1 item present
+    ['a1 61 61', /truncated/],               // map key without a value
+    ['1b 00 00 00 01', /truncated/],
+    ['01 02', /1 unexpected bytes/],
+    ['9f 01 ff', /Unsupported CBOR length encoding 31/], // indefinite length
+    ['1c', /Unsupported CBOR length encoding 28/],
+    ['c1 1a 00 00 00 00', /Unsupported CBOR major type 6/], // tagged value
+    ['f8 20', /Unsupported CBOR simple value 24/],
+  ];
+  
+  for (const [input, error] of cases) {
+    assert.throws(() => decodeCbor(hex(input)), error, `decoding ${input || 'nothing'}`);
+  }
+});
+
+test('decoding respects the byte offset of a view into a larger buffer', () => {
+  const frame = hex('ff ff 82 01 02 ff');
+  
+  assert.deepEqual(decodeCbor(frame.subarray(2, 5)), [1, 2]);
+});
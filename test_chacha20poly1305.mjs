@@ -0,0 +1,51 @@
+// test_chacha20poly1305.mjs
+// Known-answer tests for the AEAD behind secure sessions. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seal, open } from './chacha20poly1305.js';
+
+const hex = value => Uint8Array.from(value.replace(/\s+/g, '').match(/../g), byte => parseInt(byte, 16));
+const toHex = bytes => Buffer.from(bytes).toString('hex');
+
+// RFC 8439 section 2.8.2
+const key = hex('808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f');
+const nonce = hex('070000004041424344454647');
+const aad = hex('50515253c0c1c2c3c4c5c6c7');
+const plaintext = new TextEncoder().encode(
+  "Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it."
+);
+const ciphertext = hex(`
+  d31a8d34648e60db7b86afbc53ef7ec2 a4aded51296e08fea9e2b5a736ee62d6
+  3dbea45e8ca9671282fafb69da92728b 1a71de0a9e060b2905d6a5b67ecd3b36
+  92ddbd7f2d778b8c9803aee328091b58 fab324e4fad675945585808b4831d7bc
+  3ff4def08e4b7a9de576d26586cec64b 6116
+`);
+const tag = hex('1ae10b594f09e26a7e902ecbd0600691');
+
+test('seal matches the RFC 8439 AEAD test vector', () => {
+  const sealed = seal(key, nonce, plaintext, aad);
+  
+  assert.equal(toHex(sealed.subarray(0, ciphertext.length)), toHex(ciphertext));
+  assert.equal(toHex(sealed.subarray(ciphertext.length)), toHex(tag));
+});
+
+test('open recovers the RFC 8439 plaintext', () => {
+  const sealed = new Uint8Array([...ciphertext, ...tag]);
+  
+  assert.equal(toHex(open(key, nonce, sealed, aad)), toHex(plaintext));
+});
+
+test('open refuses tampered ciphertext, tag or associated data', () => {
+  const sealed = new Uint8Array([...ciphertext, ...tag]);
+  
+  const flippedCiphertext = sealed.slice();
+  flippedCiphertext[0] ^= 0x01;
+  assert.equal(open(key, nonce, flippedCiphertext, aad), null);
+  
+  const flippedTag = sealed.slice();
+  flippedTag[sealed.length - 1] ^= 0x01;
+  assert.equal(open(key, nonce, flippedTag, aad), null);
+  
+  assert.equal(open(key, nonce, sealed, aad.subarray(1)), null);
+});
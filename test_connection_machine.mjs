@@ -0,0 +1,137 @@
+// test_connection_machine.mjs
+// State transitions of the shared connection machine, driven by fake timers.
+// Run with `npm test`.
+
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConnectionMachine } from './connectionMachine.js';
+
+// Lets awaited attempts settle between timer ticks
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// No jitter, so backoff delays are exact: 1000, 2000, 4000...
+function createMachine(config = {}) {
+  const events = [];
+  const machine = new ConnectionMachine({
+    name: 'Test',
+    baseDelay: 1000,
+    maxDelay: 8000,
+    jitter: 0,
+    onTransition: event => events.push(event),
+    ...config,
+  });
+  return { machine, events, states: () => events.map(event => event.type) };
+}
+
+const failing = async () => {
+  throw new Error('unreachable');
+};
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('failed attempts back off exponentially until one connects', async () => {
+  let calls = 0;
+  const { machine, events, states } = createMachine({
+    attempt: async () => {
+      calls++;
+      if (calls < 3) throw new Error('unreachable');
+      return 'device';
+    },
+  });
+  
+  const connected = machine.start();
+  await settle();
+  assert.deepEqual(states(), ['connecting', 'backoff']);
+  assert.equal(events[1].delay, 1000);
+  
+  mock.timers.tick(999);
+  await settle();
+  assert.equal(calls, 1);
+  
+  mock.timers.tick(1);
+  await settle();
+  assert.deepEqual(states(), ['connecting', 'backoff', 'connecting', 'backoff']);
+  assert.equal(events[3].delay, 2000);
+  
+  mock.timers.tick(2000);
+  assert.equal(await connected, 'device');
+  assert.deepEqual(states().slice(4), ['connecting', 'connected']);
+  assert.equal(machine.getState(), 'connected');
+});
+
+test('stop() during backoff cancels the retry and returns to idle', async () => {
+  let calls = 0;
+  const { machine, states } = createMachine({
+    attempt: async () => {
+      calls++;
+      throw new Error('unreachable');
+    },
+  });
+  
+  const connected = machine.start();
+  await settle();
+  assert.equal(machine.getState(), 'backoff');
+  
+  machine.stop();
+  await assert.rejects(connected, /cancelled/);
+  assert.equal(machine.getState(), 'idle');
+  assert.deepEqual(states(), ['connecting', 'backoff', 'idle']);
+  
+  // The cancelled retry never fires
+  mock.timers.tick(60000);
+  await settle();
+  assert.equal(calls, 1);
+  assert.equal(machine.getState(), 'idle');
+});
+
+test('stop() aborts the attempt in flight', async () => {
+  let signal;
+  const { machine, states } = createMachine({
+    attempt: (attemptSignal) => {
+      signal = attemptSignal;
+      return new Promise(() => {});
+    },
+  });
+  
+  const connected = machine.start();
+  machine.stop();
+  
+  assert.equal(signal.aborted, true);
+  await assert.rejects(connected, /cancelled/);
+  assert.deepEqual(states(), ['connecting', 'idle']);
+});
+
+test('gives up after maxAttempts, or at once when shouldRetry says no', async () => {
+  const limited = createMachine({ attempt: failing, maxAttempts: 2 });
+  const first = limited.machine.start();
+  await settle();
+  mock.timers.tick(1000);
+  await assert.rejects(first, /unreachable/);
+  assert.deepEqual(limited.states(), ['connecting', 'backoff', 'connecting', 'failed']);
+  
+  const fatal = createMachine({ attempt: failing, shouldRetry: () => false });
+  await assert.rejects(fatal.machine.start(), /unreachable/);
+  assert.deepEqual(fatal.states(), ['connecting', 'failed']);
+});
+
+test('a dropped connection backs off and reconnects, unless auto-reconnect is off', async () => {
+  const { machine, states } = createMachine({ attempt: async () => 'device' });
+  await machine.start();
+  
+  machine.connectionLost(new Error('link lost'));
+  assert.equal(machine.getState(), 'backoff');
+  mock.timers.tick(1000);
+  await settle();
+  assert.deepEqual(states(), ['connecting', 'connected', 'backoff', 'connecting', 'connected']);
+  
+  const manual = createMachine({ attempt: async () => 'device', autoReconnect: false });
+  await manual.machine.start();
+  manual.machine.connectionLost(new Error('link lost'));
+  assert.deepEqual(manual.states(), ['connecting', 'connected', 'idle']);
+});
@@ -0,0 +1,116 @@
+// test_message_mapper.mjs
+// Message mapping rules, run against the kinds of feed messages they are written
+// for. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileMapping, parsePath, getPath } from './messageMapper.js';
+
+test('parses and follows paths', () => {
+  assert.deepEqual(parsePath('ball.pos[0]'), ['ball', 'pos', 0]);
+  assert.deepEqual(parsePath('a[1][2].b'), ['a', 1, 2, 'b']);
+  
+  const message = { ball: { pos: [1.5, 2.5] } };
+  assert.equal(getPath(message, parsePath('ball.pos[1]')), 2.5);
+  assert.equal(getPath(message, parsePath('ball.pos[2]')), undefined);
+  assert.equal(getPath(message, parsePath('ball.pos.x.y')), undefined);
+  assert.equal(getPath({ a: null }, parsePath('a.b')), undefined);
+  
+  for (const path of ['', 'a..b', '.a', 'a.', 'a[x]', 'a[0', '[0]', 42]) {
+    assert.throws(() => parsePath(path), /Invalid path/, `path ${JSON.stringify(path)}`);
+  }
+});
+
+test('maps nested fields with unit conversion', () => {
+  const map = compileMapping({
+    match: { type: 'position' },
+    fields: {
+      x: { path: 'ball.pos[0]', scale: 100 },
+      y: { path: 'ball.pos[1]', scale: 100, offset: -50 },
+      z: { path: 'ball.pos[2]', default: 0 },
+      'meta.id': 'ball.id',
+    },
+  });
+  
+  assert.deepEqual(map({ type: 'position', ball: { id: 7, pos: [1.5, '2.25'] }, debug: true }), {
+    type: 'position',
+    x: 150,
+    y: 175,
+    z: 0,
+    meta: { id: 7 },
+  });
+});
+
+test('scaled fields treat null, empty and non-numeric values as missing', () => {
+  const map = compileMapping({
+    fields: {
+      x: { path: 'lon', scale: 1000 },
+      y: { path: 'lat', scale: 1000, default: -1 },
+    },
+  });
+  
+  for (const missing of [null, '', '  ', 'n/a', true, [], {}, Infinity, NaN]) {
+    assert.deepEqual(map({ lat: missing, lon: missing }), { y: -1 }, `value ${String(missing)}`);
+  }
+  assert.deepEqual(map({ lat: ' 0.5 ', lon: 0 }), { x: 0, y: 500 });
+  assert.deepEqual(map({}), { y: -1 });
+});
+
+test('carries the message type through unless the rule maps or drops it', () => {
+  const carried = compileMapping({ fields: { x: 'pos[0]', y: 'pos[1]' } });
+  assert.deepEqual(carried({ type: 'ball', pos: [1, 2] }), { type: 'ball', x: 1, y: 2 });
+  assert.deepEqual(carried({ pos: [1, 2] }), { x: 1, y: 2 });
+  
+  const renamed = compileMapping({ fields: { type: 'kind', x: 'pos[0]', y: 'pos[1]' } });
+  assert.deepEqual(renamed({ type: 'raw', kind: 'ball', pos: [1, 2] }), { type: 'ball', x: 1, y: 2 });
+  
+  const dropped = compileMapping({ fields: { x: 'pos[0]', y: 'pos[1]' }, drop: ['type'] });
+  assert.deepEqual(dropped({ type: 'ball', pos: [1, 2] }), { x: 1, y: 2 });
+});
+
+test('keep starts from a copy, and rules without fields keep by default', () => {
+  const message = { type: 'goal', team: 'home', debug: { trace: [1] } };
+  
+  const filter = compileMapping({ match: { type: ['goal', 'card'] }, drop: ['debug'] });
+  assert.deepEqual(filter(message), { type: 'goal', team: 'home' });
+  assert.deepEqual(message.debug, { trace: [1] });
+  
+  const kept = compileMapping({ keep: true, fields: { score: 'team' } });
+  assert.deepEqual(kept(message), { ...message, score: 'home' });
+});
+
+test('the first matching rule wins, and unmatched messages pass or drop', () => {
+  const rules = [
+    { match: { type: 'position' }, fields: { x: 'lon', y: 'lat' } },
+    { match: { type: 'position' }, fields: { x: 'never' } },
+  ];
+  
+  const passing = compileMapping({ rules });
+  assert.deepEqual(passing({ type: 'position', lat: 2, lon: 1 }), { type: 'position', x: 1, y: 2 });
+  assert.deepEqual(passing({ type: 'chat', text: 'hi' }), { type: 'chat', text: 'hi' });
+  assert.equal(passing('plain text'), 'plain text');
+  
+  const dropping = compileMapping(JSON.stringify({ rules, unmatched: 'drop' }));
+  assert.equal(dropping({ type: 'chat' }), null);
+  assert.equal(dropping(null), null);
+  assert.equal(dropping(new Uint8Array([1])), null);
+});
+
+test('rejects invalid mappings before anything streams', () => {
+  const cases = [
+    ['{', /not valid JSON/],
+    [[], /must be a JSON object/],
+    [{ unmatched: 'keep' }, /"unmatched" must be "pass" or "drop"/],
+    [{ rules: {} }, /"rules" must be a list/],
+    [{ rules: [null] }, /Rule 1: must be an object/],
+    [{ match: [] }, /"match" must be an object/],
+    [{ fields: { x: 5 } }, /Field "x" must be a path/],
+    [{ fields: { x: { path: 'a', scale: '10' } } }, /scale and offset must be numbers/],
+    [{ fields: { 'x..y': 'a' } }, /Invalid path "x..y"/],
+    [{ drop: 'debug' }, /"drop" must be a list of paths/],
+  ];
+  
+  for (const [mapping, error] of cases) {
+    assert.throws(() => compileMapping(mapping), error, JSON.stringify(mapping));
+  }
+});
@@ -0,0 +1,182 @@
+// test_mqtt.mjs
+// MQTT 3.1.1 packet codec, stream reassembly and topic matching. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PACKET,
+  MqttReader,
+  encodeConnect,
+  encodeSubscribe,
+  encodePublish,
+  encodePuback,
+  encodePingreq,
+  subackFailed,
+  topicMatches,
+  validateTopicFilter,
+  parseSubscriptions,
+} from './mqtt.js';
+
+const hex = value => Uint8Array.from(value.replace(/\s+/g, '').match(/../g) || [], byte => parseInt(byte, 16));
+const toHex = bytes => Buffer.from(bytes).toString('hex');
+const text = bytes => new TextDecoder().decode(bytes);
+
+test('encodes CONNECT, SUBSCRIBE, PUBACK and PINGREQ', () => {
+  const connect = encodeConnect({ clientId: 'a', username: 'u', password: 'p', keepalive: 30 });
+  assert.equal(toHex(connect), '1013' + '00044d515454' + '04' + 'c2' + '001e' + '000161' + '000175' + '000170');
+  
+  const anonymous = encodeConnect({ clientId: 'a', cleanSession: false });
+  assert.equal(toHex(anonymous), '100d' + '00044d515454' + '04' + '00' + '001e' + '000161');
+  assert.throws(() => encodeConnect({ clientId: 'a', password: 'p' }), /needs a username/);
+  
+  assert.equal(toHex(encodeSubscribe(1, [{ topic: 'a/+', qos: 1 }, { topic: '#' }])), '820c' + '0001' + '0003612f2b01' + '00012300');
+  assert.equal(toHex(encodePuback(0x1234)), '40021234');
+  assert.equal(toHex(encodePingreq()), 'c000');
+});
+
+test('round-trips PUBLISH at QoS 0 and 1', () => {
+  const reader = new MqttReader();
+  
+  const [qos0, qos1] = reader.push(new Uint8Array([
+    ...encodePublish({ topic: 'match/1/ball', payload: '{"x":1}', retain: true }),
+    ...encodePublish({ topic: 'match/1/ball', payload: new Uint8Array([1, 2]), qos: 1, packetId: 7, dup: true }),
+  ]));
+  
+  assert.equal(qos0.type, PACKET.PUBLISH);
+  assert.equal(qos0.topic, 'match/1/ball');
+  assert.equal(text(qos0.payload), '{"x":1}');
+  assert.deepEqual([qos0.qos, qos0.packetId, qos0.retain, qos0.dup], [0, null, true, false]);
+  
+  assert.deepEqual(Array.from(qos1.payload), [1, 2]);
+  assert.deepEqual([qos1.qos, qos1.packetId, qos1.retain, qos1.dup], [1, 7, false, true]);
+});
+
+test('reassembles packets split across WebSocket frames', () => {
+  const reader = new MqttReader();
+  // 200-byte payload, so the remaining length takes two bytes and can be split too
+  const payload = 'x'.repeat(200);
+  const bytes = encodePublish({ topic: 't', payload });
+  assert.equal(toHex(bytes.subarray(0, 3)), '30cb01');
+  
+  for (let i = 0; i < bytes.length - 1; i++) {
+    assert.deepEqual(reader.push(bytes.subarray(i, i + 1)), [], `after byte ${i}`);
+  }
+  const [packet] = reader.push(bytes.subarray(bytes.length - 1));
+  assert.equal(text(packet.payload), payload);
+  
+  // A frame ending mid-packet keeps the tail for the next one
+  const puback = encodePuback(9);
+  const first = reader.push(new Uint8Array([...puback, ...puback.subarray(0, 3)]));
+  assert.deepEqual(first, [{ type: PACKET.PUBACK, packetId: 9 }]);
+  assert.deepEqual(reader.push(puback.subarray(3)), [{ type: PACKET.PUBACK, packetId: 9 }]);
+});
+
+test('handles zero-length bodies and empty payloads', () => {
+  const reader = new MqttReader();
+  
+  assert.deepEqual(reader.push(hex('d000')), [{ type: PACKET.PINGRESP }]);
+  assert.deepEqual(reader.push(hex('d000 d000 9003000101')), [
+    { type: PACKET.PINGRESP },
+    { type: PACKET.PINGRESP },
+    { type: PACKET.SUBACK, packetId: 1, returnCodes: [1] },
+  ]);
+  
+  const [empty] = reader.push(encodePublish({ topic: 'a', payload: '' }));
+  assert.equal(empty.topic, 'a');
+  assert.equal(empty.payload.length, 0);
+});
+
+test('decodes CONNACK and SUBACK results', () => {
+  const reader = new MqttReader();
+  
+  assert.deepEqual(reader.push(hex('20020105')), [{ type: PACKET.CONNACK, sessionPresent: true, returnCode: 5 }]);
+  
+  const [suback] = reader.push(hex('9004 0002 0180'));
+  assert.deepEqual(suback.returnCodes, [1, 0x80]);
+  assert.equal(subackFailed(suback.returnCodes[0]), false);
+  assert.equal(subackFailed(suback.returnCodes[1]), true);
+});
+
+test('rejects malformed streams', () => {
+  const cases = [
+    ['30 ff ff ff ff 7f', /Malformed MQTT remaining length/],
+    ['20 00', /Truncated MQTT packet \(type 2, 0 bytes\)/],  // CONNACK without a body
+    ['40 01 00', /Truncated/],                                // PUBACK with half an id
+    ['90 02 00 01', /Truncated/],                             // SUBACK without return codes
+    ['30 01 00', /Truncated/],                                // PUBLISH without a topic length
+    ['30 03 00 05 61', /Truncated/],                          // topic longer than the packet
+    ['32 03 00 01 61', /Truncated/],                          // QoS 1 without a packet id
+  ];
+  
+  for (const [input, error] of cases) {
+    assert.throws(() => new MqttReader().push(hex(input)), error, input);
+  }
+  
+  // A remaining length still arriving isn't malformed yet
+  assert.deepEqual(new MqttReader().push(hex('30 ff ff')), []);
+});
+
+test('reset() discards a partial packet', () => {
+  const reader = new MqttReader();
+  reader.push(hex('30 05 00 01'));
+  reader.reset();
+  
+  assert.deepEqual(reader.push(hex('d000')), [{ type: PACKET.PINGRESP }]);
+});
+
+test('matches topics against filters', () => {
+  const cases = [
+    ['match/1/ball', 'match/1/ball', true],
+    ['match/1/ball', 'match/1/clock', false],
+    ['match/+/ball', 'match/1/ball', true],
+    ['match/+/ball', 'match/1/2/ball', false],
+    ['match/+', 'match/', true],
+    ['match/+', 'match', false],
+    ['+/+', '/ball', true],
+    ['match/#', 'match/1/ball', true],
+    ['match/#', 'match', true],
+    ['match/#', 'matches/1', false],
+    ['#', 'match/1/ball', true],
+    ['match/1', 'match/1/ball', false],
+    ['match/1/ball', 'match/1', false],
+    ['#', '$SYS/broker/load', false],
+    ['+/broker/load', '$SYS/broker/load', false],
+    ['$SYS/#', '$SYS/broker/load', true],
+    ['$SYS/+/load', '$SYS/broker/load', true],
+    ['match/#', 'match/$live', true],
+  ];
+  
+  for (const [filter, topic, expected] of cases) {
+    assert.equal(topicMatches(filter, topic), expected, `${filter} against ${topic}`);
+  }
+});
+
+test('validates topic filters', () => {
+  for (const filter of ['a', 'a/+/b', '+', '#', 'a/#', '+/#', '/']) {
+    assert.doesNotThrow(() => validateTopicFilter(filter), filter);
+  }
+  for (const filter of ['', 'a/#/b', 'a#', 'a/b#', 'a+', 'a/+b', null]) {
+    assert.throws(() => validateTopicFilter(filter), /Topic filter|Invalid topic filter/, String(filter));
+  }
+});
+
+test('parses the Topics setting', () => {
+  const subscriptions = parseSubscriptions(`
+    match/+/ball 1 position
+    // comment
+    match/+/events event
+    
+    match/+/clock
+  `);
+  
+  assert.deepEqual(subscriptions, [
+    { topic: 'match/+/ball', qos: 1, kind: 'position' },
+    { topic: 'match/+/events', qos: 0, kind: 'event' },
+    { topic: 'match/+/clock', qos: 0, kind: null },
+  ]);
+  assert.deepEqual(parseSubscriptions(''), []);
+  
+  assert.throws(() => parseSubscriptions('a\nb 2 kind'), /Line 2: expected "<topic> \[qos\] \[kind\]"/);
+  assert.throws(() => parseSubscriptions('a 1 b c'), /Line 1: expected/);
+  assert.throws(() => parseSubscriptions('ok\n\na/#/b'), /Line 3: Invalid topic filter "a\/#\/b"/);
+});
@@ -0,0 +1,147 @@
+// writeScheduler.js
+// Paces writes to one BLE device. Messages wait in a bounded queue and go out at most
+// `rate` per second with at most `window` writes in flight, so a feed that outruns the
+// link builds a short queue instead of an unbounded pile of pending writes.
+//
+//   realtime - written without response. A newer message with the same key takes the
+//              place of one still waiting, since stale coordinates are worth nothing.
+//   reliable - written with response and never coalesced.
+//
+// When the queue is full the oldest waiting realtime message is dropped. If there is
+// none, a realtime message is dropped and a reliable one refused (rejected), which is
+// the caller's signal to hold it somewhere else.
+
+export const WRITE_PRIORITIES = ['realtime', 'reliable'];
+
+export class WriteScheduler {
+  constructor(config = {}) {
+    this.name = config.name || 'Writes';
+    this.write = config.write; // async (data, { withResponse }) => void
+    
+    this.queue = []; // { data, priority, key, resolve, reject }, oldest first
+    this.inFlight = 0;
+    this.nextSlot = 0; // Earliest time the next write may start
+    this.timer = null;
+    this.stats = {
+      written: 0,
+      coalesced: 0,
+      dropped: 0,
+      refused: 0,
+      failed: 0,
+    };
+    this.configure(config);
+  }
+  
+  configure({
+    window = 4,      // Writes in flight at once
+    rate = 0,        // Writes started per second, 0 = as fast as the window allows
+    maxQueue = 100,  // Messages waiting
+  } = {}) {
+    this.window = window;
+    this.rate = rate;
+    this.maxQueue = maxQueue;
+    this.pump();
+  }
+  
+  /**
+   * Queues a message. `data` may be a function returning it, called only when the
+   * write starts - superseded messages are then never encoded, and anything stateful
+   * in the encoding (delta frames, session counters) follows the real write order.
+   * Resolves true once written, or false if it was coalesced or dropped.
+   */
+  enqueue(data, { priority = 'reliable', key = null } = {}) {
+    if (!WRITE_PRIORITIES.includes(priority)) {
+      throw new Error(`Unknown write priority: ${priority}`);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const entry = { data, priority, key, resolve, reject };
+      
+      if (priority === 'realtime' && key !== null) {
+        const index = this.queue.findIndex(queued => queued.priority === 'realtime' && queued.key === key);
+        if (index !== -1) {
+          // Keeps the superseded message's place, so the newest update isn't delayed
+          const [superseded] = this.queue.splice(index, 1, entry);
+          this.stats.coalesced++;
+          superseded.resolve(false);
+          return;
+        }
+      }
+      
+      if (this.queue.length >= this.maxQueue) {
+        const index = this.queue.findIndex(queued => queued.priority === 'realtime');
+        if (index !== -1) {
+          const [dropped] = this.queue.splice(index, 1);
+          this.stats.dropped++;
+          dropped.resolve(false);
+        } else if (priority === 'realtime') {
+          this.stats.dropped++;
+          resolve(false);
+          return;
+        } else {
+          this.stats.refused++;
+          reject(new Error(`${this.name} write queue is full`));
+          return;
+        }
+      }
+      
+      this.queue.push(entry);
+      this.pump();
+    });
+  }
+  
+  pump() {
+    if (this.timer) return;
+    
+    while (this.queue.length && this.inFlight < this.window) {
+      const wait = this.nextSlot - Date.now();
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, wait);
+        return;
+      }
+      
+      // Slots follow on from the last one, so timer lateness doesn't lower the rate
+      this.nextSlot = Math.max(this.nextSlot, Date.now()) + (this.rate ? 1000 / this.rate : 0);
+      this.dispatch(this.queue.shift());
+    }
+  }
+  
+  async dispatch({ data, priority, resolve, reject }) {
+    this.inFlight++;
+    try {
+      const payload = typeof data === 'function' ? data() : data;
+      await this.write(payload, { withResponse: priority === 'reliable' });
+      this.stats.written++;
+      resolve(true);
+    } catch (error) {
+      this.stats.failed++;
+      reject(error);
+    } finally {
+      this.inFlight--;
+      this.pump();
+    }
+  }
+  
+  // Rejects everything still waiting, e.g. when the device disconnects
+  clear(error = new Error(`${this.name} writes cancelled`)) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    
+    const pending = this.queue;
+    this.queue = [];
+    pending.forEach(entry => entry.reject(error));
+  }
+  
+  getStats() {
+    return {
+      ...this.stats,
+      depth: this.queue.length,
+      inFlight: this.inFlight,
+    };
+  }
+}